@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+const { runCli } = require('../lib/cli');
+
+runCli(process.argv.slice(2))
+  .then(code => { process.exitCode = code; })
+  .catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
@@ -4,20 +4,30 @@ const path = require('path');
 const bodyParser = require('body-parser');
 const session = require('express-session');
 const bcrypt = require('bcrypt');
-const { marked } = require('marked');
 const hljs = require('highlight.js');
 const rateLimit = require('express-rate-limit');
 const csrf = require('csurf');
 const helmet = require('helmet');
 const cookieParser = require('cookie-parser');
-const { Pool } = require('pg');
 const crypto = require('crypto');
+const { diffLines } = require('diff');
+const { escapeHtml } = require('./lib/html');
+const { parseSearchQuery, buildHighlights } = require('./lib/search');
+const { parseLegacyFile, readLegacyFiles } = require('./lib/legacy');
+const { renderMarkdown } = require('./lib/markdown');
+const { createLanguageRegistry } = require('./lib/languages');
+const { detectLanguage } = require('./lib/detect');
+const { scanSecrets, redactSecrets, describeFindings } = require('./lib/secrets');
+const { parseLineRange, splitHighlightedLines, renderEmbedFragment, BIND_COPY_BUTTONS, EMBED_LOADER } = require('./lib/embed');
+const { WEBHOOK_EVENTS, createWebhookDispatcher, generateWebhookSecret, isWebhookUrl } = require('./lib/webhooks');
+const { EXPORT_FORMATS, writeSnippetExport, readSnippetExport, validateExportRecord } = require('./lib/export');
+const { createStorage, SNIPPET_SORTS } = require('./lib/storage');
 
 const app = express();
 
 app.set('trust proxy', 1);
 
-app.use(helmet({
+const appHelmet = helmet({
   contentSecurityPolicy: {
     directives: {
       defaultSrc: ["'self'"],
@@ -52,8 +62,35 @@ app.use(helmet({
       scriptSrcAttr: ["'unsafe-inline'"],
     },
   },
-}));
+});
+
+// Sites allowed to embed snippets, space or comma separated; any site by default
+const EMBED_ORIGINS = (process.env.EMBED_ORIGINS || '*').split(/[\s,]+/).filter(Boolean);
+
+// Embeds are framed and fetched by other sites, so they get their own policy:
+// nothing but inline styles and the copy button script, framable by EMBED_ORIGINS
+const embedHelmet = helmet({
+  contentSecurityPolicy: {
+    useDefaults: false,
+    directives: {
+      defaultSrc: ["'none'"],
+      styleSrc: ["'unsafe-inline'"],
+      scriptSrc: ["'unsafe-inline'"],
+      baseUri: ["'none'"],
+      formAction: ["'none'"],
+      frameAncestors: EMBED_ORIGINS
+    },
+  },
+  crossOriginResourcePolicy: { policy: 'cross-origin' },
+  frameguard: false
+});
+
+app.use((req, res, next) => (req.path === '/embed.js' || req.path.startsWith('/embed/') ? embedHelmet : appHelmet)(req, res, next));
 app.use(bodyParser.urlencoded({ extended: true }));
+// Export uploads arrive as the raw file (JSON Lines or an archive)
+app.use(['/api/snippets/import', '/admin/import/snippets'], bodyParser.raw({ type: () => true, limit: '50mb' }));
+// Legacy imports upload whole files as JSON, so that route gets a larger body limit
+app.use('/admin/import', bodyParser.json({ limit: '10mb' }));
 app.use(bodyParser.json());
 app.use(cookieParser());
 
@@ -90,33 +127,678 @@ app.use((err, req, res, next) => {
   }
 });
 
-marked.setOptions({
-  highlight: function(code, lang) {
-    if (lang && hljs.getLanguage(lang)) {
-      try {
-        return hljs.highlight(code, { language: lang }).value;
-      } catch (err) {
-        console.error(err);
+const snippetsDir = path.join(__dirname, 'snippets');
+if (!fs.existsSync(snippetsDir)) {
+  fs.mkdirSync(snippetsDir);
+}
+
+const storage = createStorage();
+
+// Built-in languages plus the custom ones admins add, loaded at startup
+const languages = createLanguageRegistry();
+
+const loadCustomLanguages = async () => languages.setCustomLanguages(await storage.listCustomLanguages());
+
+// <option> list for a language select. A snippet's language that is no longer
+// registered is kept as an extra option so saving the form does not change it.
+const languageOptions = (selected = 'plaintext') => {
+  const options = languages.list().map(l => `<option value="${escapeHtml(l.id)}"${l.id === selected ? ' selected' : ''}>${escapeHtml(l.name)}</option>`);
+  if (selected && !languages.list().some(l => l.id === selected)) {
+    options.push(`<option value="${escapeHtml(selected)}" selected>${escapeHtml(selected)}</option>`);
+  }
+  return options.join('');
+};
+
+const getSnippet = (filename) => storage.getSnippet(filename);
+
+// Looks a snippet up by id, slug or legacy timestamp filename, in that order.
+// Internally snippets stay keyed by filename; for new snippets it equals the id.
+const findSnippet = async (ref) => {
+  if (!ref) return null;
+  return storage.findSnippet(ref);
+};
+
+// Web routes take ?id= (or the legacy ?file=) in the query string or form body
+const snippetRef = (source) => source.id || source.file;
+
+const snippetPath = (snippet) => `/s/${encodeURIComponent(snippet.slug || snippet.id)}`;
+
+// Download name for a snippet: its slug or id plus the language's extension
+const snippetFileName = (snippet) => `${snippet.slug || snippet.id}${languages.fileType(snippet.language).extension}`;
+
+const ID_ALPHABET = 'abcdefghijkmnpqrstuvwxyz23456789';
+
+const generateSnippetId = () => Array.from(crypto.randomBytes(10), b => ID_ALPHABET[b % ID_ALPHABET.length]).join('');
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Returns an error message, or null if the slug can be used for the snippet
+const validateSlug = async (slug, filename = null) => {
+  if (!slug) return null;
+  if (slug.length > 80 || !SLUG_PATTERN.test(slug)) {
+    return 'Slugs use lowercase letters, digits and single dashes (at most 80 characters)';
+  }
+  return await storage.isSlugTaken(slug, filename) ? `The slug "${slug}" is already in use` : null;
+};
+
+const normalizeSlug = (input) => (typeof input === 'string' ? input.trim().toLowerCase() || null : input ?? null);
+
+// Filtered, sorted, paged snippet listing shared by /search and the REST API.
+// With a text query and no explicit sort, results come back by relevance.
+const querySnippets = async (filters, { sort, order = 'desc', page = 1, perPage = 20, includeCode = true } = {}) => {
+  const groups = parseSearchQuery(filters.q);
+  const { total, rows } = await storage.querySnippets({ ...filters, groups }, { sort, order, page, perPage, includeCode });
+  return { total, rows, groups };
+};
+
+const getAllTags = () => storage.listTags();
+
+// Accepts an array or a comma-separated string; tags are stored lowercase.
+const parseTags = (input) => {
+  const list = Array.isArray(input) ? input : String(input || '').split(',');
+  return [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+};
+
+// Copies the current state of a snippet into its history as the next revision number
+const snapshotRevision = (filename, source, restoredFrom = null) => storage.addRevision(filename, { source, restoredFrom });
+
+const getRevisions = (filename) => storage.listRevisions(filename);
+
+// Maps a submitted language (id, name, alias or extension) to its registry id, or
+// null if it is unknown. A snippet's current language is accepted as-is even when
+// it is not registered, so older snippets stay editable.
+const normalizeLanguage = (input, current = null) => {
+  if (current && input === current) return current;
+  return languages.normalize(input);
+};
+
+const unknownLanguageMessage = (input) =>
+  `Unknown language "${input}". Known languages: ${languages.list().map(l => l.id).join(', ')}`;
+
+// What happens when submitted code contains credentials (SECRET_SCAN):
+//   warn    save it, flag it for admin review and tell the author (default)
+//   block   reject the save
+//   redact  replace the secrets with [REDACTED:<type>] markers, save and flag it
+//   off     do not scan
+const SECRET_SCAN_MODES = ['warn', 'block', 'redact', 'off'];
+const SECRET_SCAN = SECRET_SCAN_MODES.includes(process.env.SECRET_SCAN) ? process.env.SECRET_SCAN : 'warn';
+if (process.env.SECRET_SCAN && process.env.SECRET_SCAN !== SECRET_SCAN) {
+  console.warn(`Unknown SECRET_SCAN "${process.env.SECRET_SCAN}", using "${SECRET_SCAN}"`);
+}
+
+// Applies SECRET_SCAN to code about to be saved by a user. Returns the code to
+// store and its findings, or blocked: true when the save must be refused.
+const screenSecrets = (code) => {
+  if (SECRET_SCAN === 'off') return { code, findings: [] };
+  if (SECRET_SCAN === 'redact') return redactSecrets(code);
+  const findings = scanSecrets(code);
+  return { code, findings, blocked: SECRET_SCAN === 'block' && findings.length > 0 };
+};
+
+const findingsKey = (findings) => (findings || []).map(f => `${f.type}:${f.preview}`).sort().join('\n');
+
+const secretsBlockedMessage = (findings) =>
+  `This snippet looks like it contains credentials: ${describeFindings(findings)}. Remove them and save again.`;
+
+const secretsWarning = (findings) => {
+  if (!findings.length) return null;
+  return findings[0].redacted
+    ? `Credentials were redacted: ${describeFindings(findings)}`
+    : `This snippet looks like it contains credentials (${describeFindings(findings)}) and was flagged for review`;
+};
+
+// A missing or plaintext language is detected from the code. Returns the language
+// to store, plus the detected language and its confidence when detection picked it.
+const resolveLanguage = (language, code) => {
+  if (language && language !== 'plaintext') return { language, detectedLanguage: null, languageConfidence: null };
+  const detected = detectLanguage(code);
+  return detected.language
+    ? { language: detected.language, detectedLanguage: detected.language, languageConfidence: detected.confidence }
+    : { language: 'plaintext', detectedLanguage: null, languageConfidence: null };
+};
+
+// Audit log: logins, snippet changes, API keys, webhooks and user management, each with
+// who did it, from which IP and, for snippets, the state before and after.
+const AUDIT_ACTIONS = [
+  'login', 'login.failed', 'logout',
+  'snippet.create', 'snippet.update', 'snippet.delete', 'snippet.restore', 'snippet.purge', 'snippet.import',
+  'snippet.secrets_reviewed',
+  'api_key.create', 'api_key.revoke',
+  'webhook.create', 'webhook.update', 'webhook.delete',
+  'user.create', 'user.update', 'user.delete'
+];
+
+// A session user, an API key, or the system itself (CLI commands and scheduled jobs)
+const auditActor = (req) => {
+  if (!req) return { actorType: 'system', actorId: null, actor: cliCommand ? `cli ${cliCommand}` : 'server' };
+  if (req.apiKey) return { actorType: 'api_key', actorId: req.apiKey.id, actor: req.apiKey.label };
+  if (req.user) return { actorType: 'user', actorId: req.user.id, actor: req.user.username };
+  return { actorType: 'anonymous', actorId: null, actor: null };
+};
+
+// Failures are logged but never fail the request being audited. `as` overrides
+// the actor, e.g. for a login, where the session has no user yet.
+const recordAudit = async (req, action, { targetType, targetId, before, after, details, as } = {}) => {
+  try {
+    await storage.addAuditEntry({
+      action,
+      ...(as || auditActor(req)),
+      ip: req?.ip ?? null,
+      targetType,
+      targetId,
+      before,
+      after,
+      details
+    });
+  } catch (err) {
+    console.error('Audit log error:', err);
+  }
+};
+
+// Secrets are redacted so the audit log never becomes a second copy of them
+const auditSnippetState = (snippet) => snippet && {
+  id: snippet.id,
+  slug: snippet.slug,
+  language: snippet.language,
+  title: snippet.title,
+  description: snippet.description,
+  tags: snippet.tags,
+  embeddable: snippet.embeddable,
+  code: redactSecrets(snippet.code).code
+};
+
+const webhooks = createWebhookDispatcher({ storage });
+
+// The webhook event each audited snippet action sends
+const WEBHOOK_EVENT_FOR_ACTION = {
+  'snippet.create': 'snippet.created',
+  'snippet.import': 'snippet.created',
+  'snippet.restore': 'snippet.created',
+  'snippet.update': 'snippet.updated',
+  'snippet.delete': 'snippet.deleted',
+  'snippet.purge': 'snippet.deleted'
+};
+
+// First delivery attempts still in flight. Requests never wait for them; CLI
+// commands do before they exit.
+const pendingDeliveries = new Set();
+
+// Webhook payloads carry the snippet as the API returns it, secrets included,
+// since receivers such as backups need the real code
+const sendSnippetWebhook = (req, action, snippet, previous) => {
+  const { actorType, actor } = auditActor(req);
+  const delivery = webhooks.dispatch(WEBHOOK_EVENT_FOR_ACTION[action], {
+    action,
+    actor: { type: actorType, name: actor },
+    snippet,
+    previous: previous || null
+  });
+  pendingDeliveries.add(delivery);
+  delivery.finally(() => pendingDeliveries.delete(delivery));
+};
+
+// Every snippet write path ends here: the change is audited and sent to the
+// webhooks, unless it changed nothing. webhook: false audits it only.
+const recordSnippetChange = (req, action, before, after, details, { webhook = true } = {}) => {
+  const [from, to] = [auditSnippetState(before), auditSnippetState(after)];
+  if (from && to && JSON.stringify(from) === JSON.stringify(to)) return;
+  if (webhook) sendSnippetWebhook(req, action, after || before, after && before);
+  return recordAudit(req, action, { targetType: 'snippet', targetId: (after || before).id, before: from, after: to, details });
+};
+
+// Deletes a snippet for good. Every purge is audited, but only one that skips the
+// trash sends snippet.deleted: a trashed snippet sent it when it was trashed.
+const purgeSnippet = async (req, snippet, details) => {
+  await storage.deleteSnippet(snippet.filename);
+  return recordSnippetChange(req, 'snippet.purge', snippet, null, details, { webhook: !snippet.deleted_at });
+};
+
+// Returns the new snippet. New snippets use their id as the internal filename key;
+// imports may pass the id a snippet had on another server. Code that did not go
+// through screenSecrets (imports) is scanned here, so every snippet with
+// credentials ends up in the review list.
+const createSnippet = async ({ id: requestedId, filename, slug, language, code, timestamp, title, description, tags, embeddable, detectedLanguage, languageConfidence, secretFindings, ownerId }, source = 'web') => {
+  const id = requestedId || generateSnippetId();
+  filename = filename || id;
+  await storage.insertSnippet({
+    id,
+    slug: slug || null,
+    filename,
+    language,
+    code,
+    timestamp: timestamp || new Date().toISOString(),
+    title: title || null,
+    description: description || null,
+    embeddable: !!embeddable,
+    detectedLanguage: detectedLanguage || null,
+    languageConfidence: languageConfidence ?? null,
+    secretFindings: secretFindings ?? (SECRET_SCAN === 'off' ? [] : scanSecrets(code)),
+    ownerId: ownerId || null,
+    tags: tags || []
+  });
+  await snapshotRevision(filename, source);
+  return getSnippet(filename);
+};
+
+// Returns the updated snippet, or null if it does not exist. Saves that change
+// nothing do not produce a revision. Changed code is rescanned for secrets unless
+// the caller already screened it (changes.secretFindings). A reviewed snippet
+// whose findings are the same secrets as before stays reviewed, even if they
+// moved to other lines; anything else goes back on the review list.
+const updateSnippet = async (filename, changes, source = 'web', restoredFrom = null) => {
+  const current = await getSnippet(filename);
+  if (!current) return null;
+  const next = {
+    language: changes.language ?? current.language,
+    code: changes.code ?? current.code,
+    title: changes.title === undefined ? current.title : (changes.title || null),
+    description: changes.description === undefined ? current.description : (changes.description || null),
+    tags: changes.tags ?? current.tags,
+    slug: changes.slug === undefined ? current.slug : (changes.slug || null),
+    embeddable: changes.embeddable ?? current.embeddable
+  };
+  // A detected language stays on record until someone picks a different one
+  const keepDetection = next.language === current.language;
+  next.detectedLanguage = keepDetection ? current.detected_language : null;
+  next.languageConfidence = keepDetection ? current.language_confidence : null;
+  const unchanged = ['language', 'code', 'title', 'description'].every(k => next[k] === current[k])
+    && next.tags.join(',') === current.tags.join(',');
+  // The slug and embed setting are not content, so changing only them records no revision
+  if (next.slug !== current.slug) {
+    await storage.updateSnippetSlug(filename, next.slug);
+  }
+  if (next.embeddable !== current.embeddable) {
+    await storage.updateSnippetEmbeddable(filename, next.embeddable);
+  }
+  if (unchanged) return getSnippet(filename);
+
+  // Snippets created before revisions were tracked get their original state recorded first
+  if (!await storage.hasRevisions(filename)) await snapshotRevision(filename, 'original');
+
+  await storage.updateSnippetContent(filename, next);
+  if (next.code !== current.code && SECRET_SCAN !== 'off') {
+    const findings = changes.secretFindings ?? scanSecrets(next.code);
+    const sameSecrets = findingsKey(findings) === findingsKey(current.secret_findings);
+    if (!(sameSecrets && current.secrets_reviewed_at)) await storage.updateSnippetSecrets(filename, findings);
+  }
+  await snapshotRevision(filename, source, restoredFrom);
+  return getSnippet(filename);
+};
+
+// Most snippets one bulk action may touch, so a stray filter cannot rewrite everything
+const BULK_LIMIT = 1000;
+
+// A bulk update goes through updateSnippet like any edit, so it records a
+// revision, an audit entry and a webhook per snippet it really changes
+const updateSnippetInBulk = async (req, snippet, changes, source) => {
+  const updated = await updateSnippet(snippet.filename, changes, source);
+  await recordSnippetChange(req, 'snippet.update', snippet, updated);
+  return { changed: Object.keys(changes).some(key => String(updated[key]) !== String(snippet[key])) };
+};
+
+// The actions shared by the admin table and POST /api/snippets/bulk: the API key
+// scope each needs, and what it does to one snippet. run returns the extra
+// fields of that snippet's result.
+const BULK_ACTIONS = {
+  delete: {
+    scope: 'delete',
+    summary: (n) => `Moved ${n} snippet(s) to the trash`,
+    run: async (req, snippet, { permanent }) => {
+      if (permanent) {
+        await purgeSnippet(req, snippet);
+        return { deleted: 'permanent' };
       }
+      await storage.trashSnippet(snippet.filename, req.user ? req.user.id : req.apiKey.created_by);
+      await recordSnippetChange(req, 'snippet.delete', snippet, null);
+      return { deleted: 'trash' };
     }
-    return hljs.highlightAuto(code).value;
   },
-  langPrefix: 'hljs language-',
-  headerIds: false,
-  mangle: false
-});
+  language: {
+    scope: 'write',
+    summary: (n) => `Changed the language of ${n} snippet(s)`,
+    run: (req, snippet, { language }, source) => updateSnippetInBulk(req, snippet, { language }, source)
+  },
+  tag: {
+    scope: 'write',
+    summary: (n) => `Tagged ${n} snippet(s)`,
+    run: (req, snippet, { tags }, source) =>
+      updateSnippetInBulk(req, snippet, { tags: [...new Set([...snippet.tags, ...tags])] }, source)
+  },
+  untag: {
+    scope: 'write',
+    summary: (n) => `Untagged ${n} snippet(s)`,
+    run: (req, snippet, { tags }, source) =>
+      updateSnippetInBulk(req, snippet, { tags: snippet.tags.filter(tag => !tags.includes(tag)) }, source)
+  },
+  export: {
+    scope: 'read',
+    summary: (n) => `Exported ${n} snippet(s)`,
+    run: async (req, snippet) => ({ snippet })
+  }
+};
 
-const snippetsDir = path.join(__dirname, 'snippets');
-if (!fs.existsSync(snippetsDir)) {
-  fs.mkdirSync(snippetsDir);
+// Checks the settings an action needs and returns them as { options }, or { error, details }
+const bulkOptions = (action, input) => {
+  if (action === 'language') {
+    const language = normalizeLanguage(typeof input.language === 'string' ? input.language : '');
+    if (!language) return { error: 'Unknown language', details: unknownLanguageMessage(input.language ?? '') };
+    return { options: { language } };
+  }
+  if (action === 'tag' || action === 'untag') {
+    const tags = parseTags(input.tags);
+    if (!tags.length) return { error: 'No tags given', details: `The ${action} action needs at least one tag` };
+    return { options: { tags } };
+  }
+  if (action === 'delete') {
+    if (input.permanent !== undefined && typeof input.permanent !== 'boolean') {
+      return { error: 'Invalid field value', details: 'permanent must be true or false' };
+    }
+    return { options: { permanent: input.permanent === true } };
+  }
+  return { options: {} };
+};
+
+// The snippets a bulk request names, as { targets: [{ ref, snippet }] } with
+// snippet null for an id that matches nothing, or { error, details }. Either a
+// list of ids or slugs, or a filter with the fields of a snippet search.
+const resolveBulkTargets = async ({ ids, filter }, { includeTrashed = false } = {}) => {
+  if (ids) {
+    const refs = [...new Set(ids)];
+    if (refs.length > BULK_LIMIT) {
+      return { error: 'Too many snippets', details: `A bulk action takes at most ${BULK_LIMIT} snippets` };
+    }
+    const targets = [];
+    for (const ref of refs) {
+      const snippet = await findSnippet(ref) || (includeTrashed && await storage.findTrashedSnippet(ref)) || null;
+      targets.push({ ref, snippet });
+    }
+    return { targets };
+  }
+
+  const snippets = [];
+  for (let page = 1; ; page++) {
+    const { total, rows } = await querySnippets(filter, { sort: 'timestamp', page, perPage: 100 });
+    if (total > BULK_LIMIT) {
+      return { error: 'Too many snippets', details: `The filter matches ${total} snippets; a bulk action takes at most ${BULK_LIMIT}` };
+    }
+    snippets.push(...rows.map(({ rank, ...row }) => row));
+    if (!rows.length || snippets.length >= total) break;
+  }
+  return { targets: snippets.map(snippet => ({ ref: snippet.id, snippet })) };
+};
+
+// Applies an action to every target in turn. One snippet failing does not stop
+// the others; each gets a result of its own.
+const runBulkAction = async (req, action, targets, options, source) => {
+  const results = [];
+  for (const { ref, snippet } of targets) {
+    if (!snippet) {
+      results.push({ id: ref, status: 'error', error: 'Snippet not found' });
+      continue;
+    }
+    try {
+      results.push({ id: snippet.id, status: 'ok', ...await BULK_ACTIONS[action].run(req, snippet, options, source) });
+    } catch (err) {
+      console.error('Bulk action error:', err);
+      results.push({ id: snippet.id, status: 'error', error: err.message });
+    }
+  }
+  return results;
+};
+
+// Imports legacy snippet files ({ name, content, modifiedAt }) with their original
+// timestamps. A file is skipped when its legacy filename is already stored or a
+// snippet with the same language, code and timestamp exists, so imports can be re-run.
+const importLegacySnippets = async (files, { ownerId = null } = {}) => {
+  const report = { imported: [], skipped: [], failed: [] };
+  for (const file of files) {
+    let snippet;
+    try {
+      snippet = parseLegacyFile(file.name, file.content, { modifiedAt: file.modifiedAt });
+    } catch (err) {
+      report.failed.push({ file: file.name, error: err.message });
+      continue;
+    }
+    if (!snippet.code.trim()) {
+      report.skipped.push({ file: file.name, reason: 'empty snippet' });
+      continue;
+    }
+    // Old files used names like "js" or "PowerShell"; unknown ones are kept as written
+    snippet.language = languages.normalize(snippet.language) || snippet.language;
+    try {
+      const duplicate = await storage.findDuplicateSnippet(snippet);
+      if (duplicate) {
+        report.skipped.push({ file: file.name, reason: `duplicate of ${duplicate.id}` });
+        continue;
+      }
+      const created = await createSnippet({ ...snippet, ownerId }, 'import');
+      report.imported.push({ file: file.name, id: created.id, language: created.language, timestamp: created.timestamp });
+    } catch (err) {
+      report.failed.push({ file: file.name, error: err.message });
+    }
+  }
+  return report;
+};
+
+const IMPORT_CONFLICT_MODES = ['skip', 'overwrite', 'duplicate'];
+
+// Imports the entries read from an export. A snippet keeps its id unless another
+// snippet, trashed ones included, already has it; onConflict then skips the entry,
+// overwrites that snippet or adds a copy under a new id. Editor snippets have no
+// id, so their prefix is matched against ids and slugs instead, and an overwrite
+// keeps the slug it finds. An id that is another snippet's slug or file name would
+// make links ambiguous, so such an entry gets a new id. Slugs that are taken or
+// invalid are dropped with a note. Code goes through SECRET_SCAN like any other
+// save: blocked entries fail and redacted ones say so in their note. Overwrites
+// are audited and sent to webhooks as updates here; recordImport handles the new
+// snippets.
+const importSnippetExport = async (req, entries, { onConflict = 'skip', ownerId = null } = {}) => {
+  const report = { imported: [], overwritten: [], skipped: [], failed: [] };
+  for (const entry of entries) {
+    const { file } = entry;
+    const { snippet, error } = entry.error ? { error: entry.error } : validateExportRecord(entry.record);
+    if (error) {
+      report.failed.push({ file, error });
+      continue;
+    }
+    const screened = screenSecrets(snippet.code);
+    if (screened.blocked) {
+      report.failed.push({ file, error: secretsBlockedMessage(screened.findings) });
+      continue;
+    }
+    try {
+      // Lookups also match file names, so only a result with the same id (or, for
+      // a prefix, the same slug) is a conflict
+      const ref = snippet.id || entry.prefix;
+      const same = (found) => (found && (found.id === ref || (!snippet.id && found.slug === ref)) ? found : null);
+      const [live, trashed] = ref ? [await findSnippet(ref), await storage.findTrashedSnippet(ref)] : [];
+      const existing = same(live) || same(trashed);
+      const clash = snippet.id && !existing ? live || trashed : null;
+      const label = snippet.id ? `id ${ref}` : `prefix ${ref}`;
+      if (existing && onConflict === 'skip') {
+        report.skipped.push({ file, reason: `${label} already exists${existing.deleted_at ? ' in the trash' : ''}` });
+        continue;
+      }
+      if (existing && onConflict === 'overwrite' && existing.deleted_at) {
+        report.failed.push({ file, error: `Snippet ${existing.id} is in the trash; restore it before overwriting` });
+        continue;
+      }
+      const overwrite = existing && onConflict === 'overwrite';
+      // An editor snippet overwriting one of ours leaves its slug and the fields
+      // the editor file has no place for (undefined keeps them in updateSnippet)
+      const editorOverwrite = overwrite && !snippet.id;
+      const kept = (key, value) => (editorOverwrite && (key === 'slug' || !(key in entry.record)) ? undefined : value);
+      const slugError = editorOverwrite ? null : await validateSlug(snippet.slug, overwrite ? existing.filename : null);
+      const notes = [
+        clash && `new id: ${snippet.id} is the slug or file name of snippet ${clash.id}`,
+        slugError && `slug dropped: ${slugError}`,
+        screened.findings[0]?.redacted && secretsWarning(screened.findings)
+      ].filter(Boolean);
+      const note = notes.length ? { note: notes.join('; ') } : {};
+      const fields = {
+        language: languages.normalize(snippet.language) || snippet.language,
+        code: screened.code,
+        secretFindings: screened.findings,
+        title: kept('title', snippet.title),
+        description: kept('description', snippet.description),
+        tags: kept('tags', parseTags(snippet.tags)),
+        slug: kept('slug', slugError ? null : snippet.slug),
+        embeddable: kept('embeddable', snippet.embeddable)
+      };
+      if (overwrite) {
+        const updated = await updateSnippet(existing.filename, fields, 'import');
+        await recordSnippetChange(req, 'snippet.update', existing, updated);
+        report.overwritten.push({ file, id: updated.id, language: updated.language, ...note });
+        continue;
+      }
+      const created = await createSnippet({
+        ...fields,
+        id: existing || clash ? null : snippet.id,
+        timestamp: snippet.timestamp,
+        ownerId
+      }, 'import');
+      report.imported.push({
+        file,
+        id: created.id,
+        language: created.language,
+        timestamp: created.timestamp,
+        ...(existing && { duplicate_of: existing.id }),
+        ...note
+      });
+    } catch (err) {
+      report.failed.push({ file, error: err.message });
+    }
+  }
+  return report;
+};
+
+// Every snippet matching the filters, oldest first, read a page at a time so an
+// export never holds the whole collection in memory
+async function* exportedSnippets(filters) {
+  for (let page = 1; ; page++) {
+    const { rows } = await querySnippets(filters, { sort: 'timestamp', order: 'asc', page, perPage: 100 });
+    yield* rows;
+    if (rows.length < 100) return;
+  }
 }
 
-const getAllSnippets = async () => {
-  const { rows } = await pool.query('SELECT * FROM snippets ORDER BY timestamp DESC');
-  return rows;
+// Sends snippets (any async iterable) as an export download. Once streaming has
+// started an error can only cut the response short, which the client sees as a
+// failed download.
+const sendSnippetExport = async (res, format, snippets) => {
+  const { extension, contentType } = EXPORT_FORMATS[format];
+  res.attachment(`snippets-${new Date().toISOString().slice(0, 10)}${extension}`);
+  res.type(contentType);
+  try {
+    await writeSnippetExport(format, res, snippets, { fileName: snippetFileName, registry: languages });
+  } catch (err) {
+    // A client that went away mid-download is not an error worth logging
+    if (res.destroyed) return;
+    console.error('Export error:', err);
+    if (!res.headersSent) return res.status(500).json({ error: 'Export failed', details: err.message });
+    res.destroy(err);
+  }
+};
+
+// One audit entry per import run rather than per file, but one webhook event
+// per imported snippet
+const recordImport = async (req, report) => {
+  if (!report.imported.length) return;
+  for (const { id } of report.imported) {
+    const snippet = await storage.findSnippet(id);
+    if (snippet) sendSnippetWebhook(req, 'snippet.import', snippet);
+  }
+  return recordAudit(req, 'snippet.import', {
+    details: {
+      imported: report.imported.map(r => r.id),
+      skipped: report.skipped.length,
+      failed: report.failed.length
+    }
+  });
+};
+
+const createShareLink = (filename, { expiresInHours, maxViews }) => storage.createShareLink({
+  token: crypto.randomBytes(24).toString('base64url'),
+  filename,
+  expiresInHours,
+  maxViews
+});
+
+// Counts a view and returns the shared snippet, or null if the link is not usable
+const consumeShareLink = async (token) => {
+  const link = await storage.consumeShareLink(token);
+  if (!link) return null;
+  const snippet = await getSnippet(link.snippet_filename);
+  return snippet && { link, snippet };
+};
+
+const getActiveShareLinks = () => storage.listActiveShareLinks();
+
+const shareUrl = (req, token) => `${req.protocol}://${req.get('host')}/share/${token}`;
+
+// Sends a snippet's code as a file named after the snippet, with its language's
+// extension and media type. ?download=1 asks browsers to save it instead of showing it.
+const sendSnippetFile = (req, res, snippet) => {
+  const disposition = req.query.download === '1' ? 'attachment' : 'inline';
+  res.set('Content-Disposition', `${disposition}; filename="${snippetFileName(snippet)}"`);
+  res.type(languages.fileType(snippet.language).contentType).send(snippet.code);
+};
+
+// Server-side highlight.js markup for read-only views
+const HLJS_STYLESHEET = '<link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/styles/vs2015.min.css">';
+
+// Shared by every page that shows a rendered Markdown snippet
+const MARKDOWN_STYLES = `
+  .markdown-body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; line-height: 1.6; margin-bottom: 1em; }
+  .markdown-body pre { margin: 0 0 1em; border-radius: 4px; overflow-x: auto; }
+  .markdown-body pre code.hljs { padding: 1em; font-size: 15px; font-family: monospace; }
+  .markdown-body :not(pre) > code { background: #333; border-radius: 3px; padding: 0.1em 0.3em; }
+  .markdown-body table { border-collapse: collapse; margin-bottom: 1em; }
+  .markdown-body th, .markdown-body td { border: 1px solid #444; padding: 0.3em 0.6em; }
+  .markdown-body blockquote { border-left: 3px solid #555; margin-left: 0; padding-left: 1em; color: #bbb; }
+  .markdown-body img { max-width: 100%; }
+`;
+
+const highlightCode = (code, snippetLanguage) => {
+  const language = languages.hljsLanguage(snippetLanguage);
+  if (language) {
+    try {
+      return hljs.highlight(code || '', { language }).value;
+    } catch (err) {
+      console.error(err);
+    }
+  }
+  return escapeHtml(code);
+};
+
+// Ordered from least to most privileged; each role can do everything the ones before it can
+const ROLES = ['viewer', 'editor', 'admin'];
+
+const hasRole = (user, role) => !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+// Loads the signed-in user on every request so role changes and deletions take effect immediately
+const requireAuth = async (req, res, next) => {
+  if (!req.session.userId) return res.redirect('/login');
+  const user = await storage.getUser(req.session.userId);
+  if (!user) {
+    return req.session.destroy(() => res.redirect('/login'));
+  }
+  req.user = user;
+  next();
+};
+
+// Use after requireAuth
+const requireRole = (role) => (req, res, next) => {
+  if (hasRole(req.user, role)) return next();
+  const message = `This action requires the ${role} role`;
+  res.status(403).format({
+    json: () => res.json({ error: message }),
+    html: () => res.send(`${message}. <a href="/admin">Back to Admin</a>`),
+    default: () => res.send(message)
+  });
 };
 
-const getNavigation = (currentPage) => `
+const getNavigation = (currentPage, user) => `
   <nav style="
     background: #232323;
     padding: 1em 2em;
@@ -129,10 +811,24 @@ const getNavigation = (currentPage) => `
     box-shadow: 0 2px 12px #0006;
   ">
     <div style="display: flex; gap: 1.5em;">
-      <a href="/" style="color: ${currentPage === 'home' ? '#fff' : '#7ecfff'}; text-decoration: none; font-weight: bold;">Home</a>
+      ${hasRole(user, 'editor') ? `<a href="/" style="color: ${currentPage === 'home' ? '#fff' : '#7ecfff'}; text-decoration: none; font-weight: bold;">Home</a>` : ''}
       <a href="/admin" style="color: ${currentPage === 'admin' ? '#fff' : '#7ecfff'}; text-decoration: none; font-weight: bold;">Admin</a>
+      ${hasRole(user, 'admin') ? `<a href="/admin/users" style="color: ${currentPage === 'users' ? '#fff' : '#7ecfff'}; text-decoration: none; font-weight: bold;">Users</a>` : ''}
+      ${hasRole(user, 'admin') ? `<a href="/admin/api-keys" style="color: ${currentPage === 'api-keys' ? '#fff' : '#7ecfff'}; text-decoration: none; font-weight: bold;">API Keys</a>` : ''}
+      ${hasRole(user, 'admin') ? `<a href="/admin/import" style="color: ${currentPage === 'import' ? '#fff' : '#7ecfff'}; text-decoration: none; font-weight: bold;">Import</a>` : ''}
+      ${hasRole(user, 'admin') ? `<a href="/admin/languages" style="color: ${currentPage === 'languages' ? '#fff' : '#7ecfff'}; text-decoration: none; font-weight: bold;">Languages</a>` : ''}
+      ${hasRole(user, 'admin') ? `<a href="/admin/secrets" style="color: ${currentPage === 'secrets' ? '#fff' : '#7ecfff'}; text-decoration: none; font-weight: bold;">Secrets</a>` : ''}
+      ${hasRole(user, 'admin') ? `<a href="/admin/trash" style="color: ${currentPage === 'trash' ? '#fff' : '#7ecfff'}; text-decoration: none; font-weight: bold;">Trash</a>` : ''}
+      ${hasRole(user, 'admin') ? `<a href="/admin/webhooks" style="color: ${currentPage === 'webhooks' ? '#fff' : '#7ecfff'}; text-decoration: none; font-weight: bold;">Webhooks</a>` : ''}
+      ${hasRole(user, 'admin') ? `<a href="/admin/audit" style="color: ${currentPage === 'audit' ? '#fff' : '#7ecfff'}; text-decoration: none; font-weight: bold;">Audit</a>` : ''}
     </div>
+    ${user ? `
+    <div style="display: flex; gap: 1.5em; align-items: center; margin-left: auto; margin-right: 1.5em;">
+      <span style="color: #aaa;">${escapeHtml(user.username)} (${user.role})</span>
+      <a href="/logout" style="color: #7ecfff; text-decoration: none;">Logout</a>
+    </div>` : ''}
     <button id="quick-snippet-btn" style="
+      ${hasRole(user, 'editor') ? '' : 'visibility: hidden;'}
       background: #007acc;
       color: white;
       border: none;
@@ -152,6 +848,45 @@ const getNavigation = (currentPage) => `
   </nav>
 `;
 
+// Browser helper for the new-snippet forms: while the language is left at Plain
+// Text, the code is sent to /detect-language and a one-click suggestion is shown.
+const LANGUAGE_SUGGESTION_SCRIPT = `
+  <script>
+    function watchLanguageSuggestion(select, hint, getCode) {
+      let timer;
+      const check = () => {
+        clearTimeout(timer);
+        timer = setTimeout(async () => {
+          const code = getCode();
+          hint.textContent = '';
+          if (select.value !== 'plaintext' || !code.trim()) return;
+          const res = await fetch('/detect-language', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ code }),
+            credentials: 'same-origin'
+          });
+          if (!res.ok) return;
+          const { language, confidence } = await res.json();
+          if (!language || select.value !== 'plaintext') return;
+          const option = select.querySelector('option[value="' + language + '"]');
+          const use = document.createElement('a');
+          use.href = '#';
+          use.textContent = 'use it';
+          use.addEventListener('click', (e) => {
+            e.preventDefault();
+            select.value = language;
+            select.dispatchEvent(new Event('change'));
+          });
+          hint.append('Looks like ' + (option ? option.textContent : language) + ' (' + Math.round(confidence * 100) + '% sure) · ', use);
+        }, 500);
+      };
+      select.addEventListener('change', check);
+      return check;
+    }
+  </script>
+`;
+
 const getQuickSnippetDialog = (csrfToken) => `
   <div id="quickSnippetDialog" style="
     display: none;
@@ -177,14 +912,11 @@ const getQuickSnippetDialog = (csrfToken) => `
       <h2 style="margin-top: 0;">Quick Snippet</h2>
       <form action="/submit" method="POST" style="display: flex; flex-direction: column; gap: 1em;">
         <input type="hidden" name="_csrf" value="${csrfToken}">
+        <input type="text" name="title" placeholder="Title" style="padding: 0.5em; background: #1e1e1e; color: #eee; border: 1px solid #333;">
         <select name="language" style="padding: 0.5em; background: #1e1e1e; color: #eee; border: 1px solid #333;">
-          <option value="plaintext">Plain Text</option>
-          <option value="sql">SQL</option>
-          <option value="powershell">PowerShell</option>
-          <option value="javascript">JavaScript</option>
-          <option value="python">Python</option>
-          <option value="bash">Bash</option>
+          ${languageOptions()}
         </select>
+        <div class="language-hint" id="quick-language-hint" style="color: #aaa; font-size: 0.9em; margin-top: -0.5em;"></div>
         <textarea name="snippet" style="
           height: 200px;
           padding: 0.5em;
@@ -193,6 +925,8 @@ const getQuickSnippetDialog = (csrfToken) => `
           border: 1px solid #333;
           font-family: monospace;
         "></textarea>
+        <input type="text" name="description" placeholder="Description (optional)" style="padding: 0.5em; background: #1e1e1e; color: #eee; border: 1px solid #333;">
+        <input type="text" name="tags" placeholder="Tags, comma separated" style="padding: 0.5em; background: #1e1e1e; color: #eee; border: 1px solid #333;">
         <div style="display: flex; gap: 1em; justify-content: flex-end;">
           <button type="button" id="quick-cancel-btn" style="
             padding: 0.5em 1em;
@@ -214,6 +948,7 @@ const getQuickSnippetDialog = (csrfToken) => `
       </form>
     </div>
   </div>
+  ${LANGUAGE_SUGGESTION_SCRIPT}
   <script>
     async function refreshCsrfToken() {
       const res = await fetch('/get-csrf', { credentials: 'same-origin' });
@@ -238,6 +973,12 @@ const getQuickSnippetDialog = (csrfToken) => `
       if (quickCancel) quickCancel.addEventListener('click', hideQuickSnippetDialog);
       const dialog = document.getElementById('quickSnippetDialog');
       if (dialog) {
+        const quickCode = dialog.querySelector('textarea[name="snippet"]');
+        quickCode.addEventListener('input', watchLanguageSuggestion(
+          dialog.querySelector('select[name="language"]'),
+          document.getElementById('quick-language-hint'),
+          () => quickCode.value
+        ));
         dialog.addEventListener('click', function(e) {
           if (e.target === this) hideQuickSnippetDialog();
         });
@@ -246,7 +987,7 @@ const getQuickSnippetDialog = (csrfToken) => `
   </script>
 `;
 
-app.get('/', csrfProtection, (req, res) => {
+app.get('/', requireAuth, requireRole('editor'), csrfProtection, (req, res) => {
   res.send(`
     <!DOCTYPE html>
     <html>
@@ -263,6 +1004,18 @@ app.get('/', csrfProtection, (req, res) => {
         }
         label { color: #aaa; font-size: 1em; margin-top: 1em; display: block; }
         #monaco-snippet { height: 300px; width: 100%; border-radius: 4px; margin-bottom: 1em; }
+        input[type="text"], textarea {
+          width: 100%;
+          box-sizing: border-box;
+          margin: 0.5em 0;
+          padding: 0.7em 1em;
+          background: #252526;
+          color: #eee;
+          border: 1px solid #333;
+          border-radius: 4px;
+          font-family: inherit;
+          font-size: 1em;
+        }
         select, button {
           margin: 1em 0 0.5em 0;
           padding: 0.7em 1em;
@@ -301,8 +1054,11 @@ app.get('/', csrfProtection, (req, res) => {
           from { opacity: 0; transform: translateY(-20px);}
           to { opacity: 1; transform: translateY(0);}
         }
+        .language-hint { color: #aaa; margin-left: 1em; }
+        .language-hint a { color: #7ecfff; }
       </style>
       <script src="https://cdn.jsdelivr.net/npm/monaco-editor@0.45.0/min/vs/loader.js"></script>
+      ${LANGUAGE_SUGGESTION_SCRIPT}
       <script>
         async function refreshCsrfTokenForForm(formId) {
           const res = await fetch('/get-csrf', { credentials: 'same-origin' });
@@ -314,21 +1070,25 @@ app.get('/', csrfProtection, (req, res) => {
       </script>
     </head>
     <body>
-      ${getNavigation('home')}
+      ${getNavigation('home', req.user)}
       <div class="container">
         <div class="snippet-window">
           <h2>New Snippet</h2>
           <form id="snippet-form" autocomplete="off" spellcheck="false">
             <input type="hidden" name="_csrf" value="${req.csrfToken()}">
+            <label for="snippet-title">Title:</label>
+            <input type="text" name="title" id="snippet-title" placeholder="e.g. Find blocking sessions">
+            <label for="snippet-description">Description:</label>
+            <textarea name="description" id="snippet-description" rows="2" placeholder="What does it do, when to use it"></textarea>
+            <label for="snippet-tags">Tags:</label>
+            <input type="text" name="tags" id="snippet-tags" placeholder="comma separated, e.g. oracle, locks">
+            <label for="snippet-slug">Slug (optional):</label>
+            <input type="text" name="slug" id="snippet-slug" placeholder="e.g. prod-lock-query, served at /s/prod-lock-query">
             <label for="language">Language:</label>
             <select name="language" id="snippet-lang">
-              <option value="plaintext">Plain Text</option>
-              <option value="sql">SQL</option>
-              <option value="powershell">PowerShell</option>
-              <option value="javascript">JavaScript</option>
-              <option value="python">Python</option>
-              <option value="bash">Bash</option>
+              ${languageOptions()}
             </select>
+            <span class="language-hint" id="language-hint"></span>
             <input type="hidden" name="snippet" id="snippet-hidden">
             <div id="monaco-snippet"></div>
             <button type="submit">💾 Save Snippet</button>
@@ -338,14 +1098,7 @@ app.get('/', csrfProtection, (req, res) => {
       <div class="notification" id="notif"><span>✅</span><span id="notif-msg"></span></div>
       <script>
         document.addEventListener('DOMContentLoaded', function() {
-          const langMap = {
-            plaintext: 'plaintext',
-            sql: 'sql',
-            powershell: 'powershell',
-            javascript: 'javascript',
-            python: 'python',
-            bash: 'shell'
-          };
+          const langMap = ${JSON.stringify(languages.monacoLanguages())};
           let snippetEditor;
           require.config({ paths: { 'vs': 'https://cdn.jsdelivr.net/npm/monaco-editor@0.45.0/min/vs' }});
           require(['vs/editor/editor.main'], function () {
@@ -364,6 +1117,11 @@ app.get('/', csrfProtection, (req, res) => {
               const newLang = langMap[this.value] || 'plaintext';
               monaco.editor.setModelLanguage(snippetEditor.getModel(), newLang);
             });
+            snippetEditor.onDidChangeModelContent(watchLanguageSuggestion(
+              document.getElementById('snippet-lang'),
+              document.getElementById('language-hint'),
+              () => snippetEditor.getValue()
+            ));
 
             document.getElementById('snippet-form').addEventListener('submit', async function(e) {
               e.preventDefault();
@@ -381,11 +1139,14 @@ app.get('/', csrfProtection, (req, res) => {
                   credentials: 'same-origin'
                 });
                 if (res.ok) {
-                  showNotification('Snippet saved!');
+                  showNotification((await res.json()).message);
                   snippetEditor.setValue('');
+                  ['snippet-title', 'snippet-description', 'snippet-tags', 'snippet-slug'].forEach(id => {
+                    document.getElementById(id).value = '';
+                  });
                   await refreshCsrfTokenForForm('snippet-form');
                 } else {
-                  showNotification('Failed to save snippet', true);
+                  showNotification(res.status === 400 ? await res.text() : 'Failed to save snippet', true);
                 }
               } catch (err) {
                 showNotification('Error: ' + err.message, true);
@@ -407,14 +1168,6 @@ app.get('/', csrfProtection, (req, res) => {
   `);
 });
 
-const requireAuth = (req, res, next) => {
-  if (req.session.authenticated) {
-    next();
-  } else {
-    res.redirect('/login');
-  }
-};
-
 app.get('/login', csrfProtection, (req, res) => {
   res.send(`
     <!DOCTYPE html>
@@ -433,8 +1186,10 @@ app.get('/login', csrfProtection, (req, res) => {
       <h1>Login</h1>
       <form method="POST" action="/login">
         <input type="hidden" name="_csrf" value="${req.csrfToken()}">
-        <input type="password" name="password" placeholder="Enter admin password">
+        <input type="text" name="username" placeholder="Username" autocomplete="username" autofocus>
+        <input type="password" name="password" placeholder="Password" autocomplete="current-password">
         <button type="submit">Login</button>
+        ${req.query.error ? '<div class="error">Invalid username or password</div>' : ''}
       </form>
     </body>
     </html>
@@ -442,32 +1197,88 @@ app.get('/login', csrfProtection, (req, res) => {
 });
 
 app.post('/login', csrfProtection, async (req, res) => {
-  const correctPassword = process.env.ADMIN_PASSWORD || 'admin123';
-  const hashedPassword = await bcrypt.hash(correctPassword, 10);
+  const username = (req.body.username || '').trim().toLowerCase();
+  const credentials = await storage.getUserCredentials(username);
   
-  if (await bcrypt.compare(req.body.password, hashedPassword)) {
-    req.session.authenticated = true;
-    res.redirect('/admin');
+  if (credentials && await bcrypt.compare(req.body.password || '', credentials.password_hash)) {
+    await recordAudit(req, 'login', {
+      targetType: 'user',
+      targetId: String(credentials.id),
+      as: { actorType: 'user', actorId: credentials.id, actor: username }
+    });
+    // New session id on login so a pre-login session can't be fixated
+    req.session.regenerate(err => {
+      if (err) return res.status(500).send('Login failed');
+      req.session.userId = credentials.id;
+      res.redirect('/admin');
+    });
   } else {
-    res.redirect('/login');
+    await recordAudit(req, 'login.failed', { details: { username } });
+    res.redirect('/login?error=1');
+  }
+});
+
+app.get('/logout', async (req, res) => {
+  const user = req.session.userId && await storage.getUser(req.session.userId);
+  if (user) {
+    await recordAudit(req, 'logout', {
+      targetType: 'user',
+      targetId: String(user.id),
+      as: { actorType: 'user', actorId: user.id, actor: user.username }
+    });
   }
+  req.session.destroy(() => res.redirect('/login'));
+});
+
+// Suggestion for the new-snippet forms; nothing is stored, so no CSRF token is needed
+app.post('/detect-language', requireAuth, requireRole('editor'), (req, res) => {
+  res.json(detectLanguage(req.body.code));
 });
 
-app.post('/submit', csrfProtection, async (req, res) => {
+app.post('/submit', requireAuth, requireRole('editor'), csrfProtection, async (req, res) => {
   const timestamp = new Date().toISOString();
-  const lang = req.body.language || 'plaintext';
-  const code = req.body.snippet;
-  const filename = `${timestamp}.json`;
+  const { code, findings, blocked } = screenSecrets(req.body.snippet);
+  if (blocked) return res.status(400).send(secretsBlockedMessage(findings));
+  const requested = req.body.language ? normalizeLanguage(req.body.language) : null;
+  if (req.body.language && !requested) return res.status(400).send(unknownLanguageMessage(req.body.language));
+  const { language, detectedLanguage, languageConfidence } = resolveLanguage(requested, code);
+  const slug = normalizeSlug(req.body.slug);
+
+  const slugError = await validateSlug(slug);
+  if (slugError) return res.status(400).send(slugError);
 
   try {
-    await pool.query(
-      'INSERT INTO snippets (filename, language, code, timestamp) VALUES ($1, $2, $3, $4)',
-      [filename, lang, code, timestamp]
-    );
+    const snippet = await createSnippet({
+      slug,
+      language,
+      detectedLanguage,
+      languageConfidence,
+      code,
+      timestamp,
+      title: req.body.title?.trim(),
+      description: req.body.description?.trim(),
+      tags: parseTags(req.body.tags),
+      secretFindings: findings,
+      ownerId: req.user.id
+    });
+    await recordSnippetChange(req, 'snippet.create', null, snippet);
+    const warning = secretsWarning(findings);
     if (req.headers.accept && req.headers.accept.includes('application/json')) {
-      res.json({ success: true, message: 'Snippet saved!' });
+      const saved = detectedLanguage ? `Snippet saved as ${language} (detected)!` : 'Snippet saved!';
+      res.json({
+        success: true,
+        message: warning ? `${saved} ${warning}.` : saved,
+        id: snippet.id,
+        url: snippetPath(snippet),
+        language,
+        detected_language: detectedLanguage,
+        language_confidence: languageConfidence,
+        secret_findings: findings
+      });
     } else {
-      res.send('✅ Snippet saved! <a href="/">Back to form</a>');
+      const detected = detectedLanguage ? ` as ${escapeHtml(language)} (detected)` : '';
+      const notice = warning ? ` ⚠️ ${escapeHtml(warning)}.` : '';
+      res.send(`✅ Snippet saved${detected}!${notice} <a href="${snippetPath(snippet)}">View it</a> | <a href="/">Back to form</a>`);
     }
   } catch (err) {
     console.error('DB insert error:', err);
@@ -475,39 +1286,95 @@ app.post('/submit', csrfProtection, async (req, res) => {
   }
 });
 
-app.get('/search', async (req, res) => {
-  const query = req.query.q?.toLowerCase() || '';
-  const language = req.query.lang?.toLowerCase();
-  
-  let sql = 'SELECT * FROM snippets';
-  let params = [];
-  let conditions = [];
+app.get('/search', requireAuth, async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const perPage = Math.min(100, Math.max(1, parseInt(req.query.per_page, 10) || 20));
 
-  if (query) {
-    conditions.push('(LOWER(code) LIKE $1 OR LOWER(filename) LIKE $1)');
-    params.push(`%${query}%`);
-  }
-  if (language) {
-    conditions.push('LOWER(language) = $' + (params.length + 1));
-    params.push(language);
-  }
-  if (conditions.length) {
-    sql += ' WHERE ' + conditions.join(' AND ');
+  try {
+    const { total, rows, groups } = await querySnippets({
+      q: req.query.q,
+      language: req.query.lang,
+      title: req.query.title,
+      tags: parseTags(req.query.tag)
+    }, { page, perPage });
+    res.json({
+      query: req.query.q || '',
+      total,
+      page,
+      per_page: perPage,
+      pages: Math.ceil(total / perPage),
+      results: rows.map(row => ({ ...row, highlights: row.rank !== null ? buildHighlights(row, groups) : null }))
+    });
+  } catch (err) {
+    console.error('Search error:', err);
+    res.status(500).json({ error: 'Search failed', details: err.message });
   }
-  sql += ' ORDER BY timestamp DESC';
-
-  const { rows } = await pool.query(sql, params);
-  res.json(rows);
 });
 
+const ADMIN_PAGE_SIZES = [25, 50, 100];
+
+// The admin table's state, all of it in the query string so every view can be
+// bookmarked, reloaded and paged. Unknown values fall back to the defaults.
+const adminListState = (query) => {
+  const value = (name) => (typeof query[name] === 'string' ? query[name].trim() : '');
+  const perPage = Number(value('per_page'));
+  return {
+    q: value('q'),
+    language: value('language'),
+    tag: value('tag').toLowerCase(),
+    sort: SNIPPET_SORTS.includes(value('sort')) ? value('sort') : '',
+    order: value('order') === 'asc' ? 'asc' : 'desc',
+    page: Math.max(1, parseInt(value('page'), 10) || 1),
+    perPage: ADMIN_PAGE_SIZES.includes(perPage) ? perPage : 50
+  };
+};
+
+// /admin with some of the state replaced; defaults are left out of the URL
+const adminListUrl = (state, overrides = {}) => {
+  const next = { ...state, ...overrides };
+  const params = new URLSearchParams();
+  if (next.q) params.set('q', next.q);
+  if (next.language) params.set('language', next.language);
+  if (next.tag) params.set('tag', next.tag);
+  if (next.sort) params.set('sort', next.sort);
+  if (next.order !== 'desc') params.set('order', next.order);
+  if (next.page > 1) params.set('page', next.page);
+  if (next.perPage !== 50) params.set('per_page', next.perPage);
+  const query = params.toString();
+  return query ? `/admin?${query}` : '/admin';
+};
+
 app.get('/admin', requireAuth, csrfProtection, async (req, res) => {
-  const { rows: snippets } = await pool.query('SELECT * FROM snippets ORDER BY timestamp DESC');
-  const languages = [...new Set(snippets.map(s => s.language))];
-  const snippetCount = snippets.length;
-  const langCounts = languages.map(lang => ({
-    lang,
-    count: snippets.filter(s => s.language === lang).length
-  }));
+  const state = adminListState(req.query);
+  // Without a text query or sort the newest come first; a query ranks by relevance
+  const sort = state.sort || (state.q ? undefined : 'timestamp');
+  const { total, rows: snippets, groups } = await querySnippets(
+    { q: state.q, language: state.language, tags: state.tag ? [state.tag] : [] },
+    // Code is only loaded for search excerpts; the modal fetches it on demand
+    { sort, order: state.order, page: state.page, perPage: state.perPage, includeCode: Boolean(state.q) }
+  );
+  const pages = Math.max(1, Math.ceil(total / state.perPage));
+  const allTags = await getAllTags();
+  const shareLinks = await getActiveShareLinks();
+  const canEdit = hasRole(req.user, 'editor');
+  const langCounts = await storage.countSnippetsByLanguage();
+  const snippetCount = langCounts.reduce((sum, lc) => sum + lc.count, 0);
+
+  // Clicking the sorted column flips its order; another column starts ascending,
+  // except the date, which starts with the newest
+  const sortLink = (column, label) => {
+    const active = state.sort === column || (!state.sort && !state.q && column === 'timestamp');
+    const order = active ? (state.order === 'asc' ? 'desc' : 'asc') : (column === 'timestamp' ? 'desc' : 'asc');
+    const arrow = active ? (state.order === 'asc' ? ' ▲' : ' ▼') : '';
+    return `<a class="sort-link" href="${escapeHtml(adminListUrl(state, { sort: column, order, page: 1 }))}">${label}${arrow}</a>`;
+  };
+
+  // Downloads everything the current filters match, not just this page
+  const exportLink = (format) => {
+    const params = new URLSearchParams({ format });
+    ['q', 'language', 'tag'].forEach(key => state[key] && params.set(key, state[key]));
+    return `<a href="/admin/export?${escapeHtml(params.toString())}">${EXPORT_FORMATS[format].label}</a>`;
+  };
 
   res.send(`
     <!DOCTYPE html>
@@ -521,7 +1388,10 @@ app.get('/admin', requireAuth, csrfProtection, async (req, res) => {
         .container { max-width: 900px; margin: 0 auto; }
         .summary { background: #252526; padding: 1em; border-radius: 6px; margin-bottom: 2em; }
         .summary span { margin-right: 2em; }
-        .search-sort { display: flex; gap: 1em; margin-bottom: 1em; }
+        .search-sort { display: flex; gap: 1em; margin-bottom: 1em; align-items: center; }
+        .sort-link { color: inherit; text-decoration: none; }
+        .pagination { display: flex; gap: 1.5em; align-items: center; margin: 1em 0 2em; }
+        .summary a { color: inherit; text-decoration: none; }
         .search-sort input, .search-sort select { 
           padding: 0.5em; background: #252526; color: #eee; border: 1px solid #333; 
         }
@@ -553,6 +1423,38 @@ app.get('/admin', requireAuth, csrfProtection, async (req, res) => {
           max-width: 900px !important;
           width: 100% !important;
         }
+        .untitled { color: #888; }
+        .description { color: #aaa; font-size: 0.9em; }
+        .excerpt { color: #aaa; font-size: 0.85em; white-space: pre-wrap; word-break: break-all; }
+        .excerpt .ln { color: #666; }
+        .excerpt mark { background: #665c00; color: #fff; }
+        .bulk-bar { display: flex; gap: 1em; margin-bottom: 1em; align-items: center; flex-wrap: wrap; }
+        .bulk-bar select, .bulk-bar input {
+          padding: 0.5em; background: #252526; color: #eee; border: 1px solid #333;
+        }
+        .bulk-bar button:disabled { background: #444; cursor: default; }
+        .error { color: #ff5555; }
+        .ok { color: #50fa7b; }
+        .tag {
+          display: inline-block;
+          background: #333;
+          color: #7ecfff;
+          border-radius: 3px;
+          padding: 0 0.4em;
+          margin: 0 0.3em 0.3em 0;
+          font-size: 0.85em;
+          text-decoration: none;
+        }
+        .modal-field {
+          width: 100%;
+          box-sizing: border-box;
+          margin-bottom: 1em;
+          padding: 0.5em;
+          background: #1e1e1e;
+          color: #eee;
+          border: 1px solid #333;
+          font-family: inherit;
+        }
       </style>
       <script>
         async function refreshCsrfTokenForForm(formId) {
@@ -565,71 +1467,189 @@ app.get('/admin', requireAuth, csrfProtection, async (req, res) => {
       </script>
     </head>
     <body>
-      ${getNavigation('admin')}
+      ${getNavigation('admin', req.user)}
       <div class="container">
         <div class="summary">
           <span><strong>Total snippets:</strong> ${snippetCount}</span>
-          ${langCounts.map(lc => `<span><strong>${lc.lang}:</strong> ${lc.count}</span>`).join('')}
+          ${langCounts.map(lc => `<span><a href="${escapeHtml(adminListUrl(state, { language: lc.language, page: 1 }))}"><strong>${escapeHtml(lc.language)}:</strong></a> ${lc.count}</span>`).join('')}
         </div>
-        <div class="search-sort">
-          <input type="text" id="search" placeholder="Search snippets...">
-          <select id="language">
+        <form class="search-sort" id="filters" method="GET" action="/admin">
+          <input type="text" name="q" value="${escapeHtml(state.q)}" placeholder='Search: words, "phrases", prefix*, -exclude'>
+          <select name="language">
             <option value="">All Languages</option>
-            ${languages.map(lang => `<option value="${lang}">${lang}</option>`).join('')}
+            ${langCounts.map(lc => `<option value="${escapeHtml(lc.language)}"${lc.language === state.language ? ' selected' : ''}>${escapeHtml(lc.language)}</option>`).join('')}
           </select>
-          <select id="sort">
-            <option value="date-desc">Newest First</option>
-            <option value="date-asc">Oldest First</option>
-            <option value="lang-asc">Language A-Z</option>
-            <option value="lang-desc">Language Z-A</option>
+          <select name="tag">
+            <option value="">All Tags</option>
+            ${allTags.map(tag => `<option value="${escapeHtml(tag)}"${tag === state.tag ? ' selected' : ''}>${escapeHtml(tag)}</option>`).join('')}
           </select>
-        </div>
+          <select name="per_page">
+            ${ADMIN_PAGE_SIZES.map(size => `<option value="${size}"${size === state.perPage ? ' selected' : ''}>${size} per page</option>`).join('')}
+          </select>
+          ${state.sort ? `<input type="hidden" name="sort" value="${state.sort}">` : ''}
+          ${state.order !== 'desc' ? `<input type="hidden" name="order" value="${state.order}">` : ''}
+          <button type="submit" class="action-btn">Search</button>
+          ${adminListUrl(state, { page: 1 }) !== '/admin' ? '<a href="/admin">Clear</a>' : ''}
+        </form>
+        ${req.query.message ? `<p class="ok">${escapeHtml(req.query.message)}</p>` : ''}
+        ${req.query.error ? `<p class="error">${escapeHtml(req.query.error)}</p>` : ''}
+        <form class="bulk-bar" id="bulk-form" method="POST" action="/admin/bulk">
+          <input type="hidden" name="_csrf" value="${req.csrfToken()}">
+          <input type="hidden" name="return_to" value="${escapeHtml(adminListUrl(state))}">
+          <input type="hidden" name="filter_q" value="${escapeHtml(state.q)}">
+          <input type="hidden" name="filter_language" value="${escapeHtml(state.language)}">
+          <input type="hidden" name="filter_tag" value="${escapeHtml(state.tag)}">
+          <input type="hidden" name="all_matching" value="">
+          <span id="bulk-count" class="description">0 selected</span>
+          <a href="#" id="select-matching" style="display:none;">Select all ${total} matching snippets</a>
+          <select name="action">
+            ${canEdit ? `
+            <option value="delete">Move to trash</option>
+            <option value="language">Change language</option>
+            <option value="tag">Add tags</option>
+            <option value="untag">Remove tags</option>` : ''}
+            <option value="export">Export</option>
+          </select>
+          <select name="format" id="bulk-format">
+            <option value="">JSON</option>
+            ${Object.entries(EXPORT_FORMATS).map(([format, { label }]) => `<option value="${format}">${label}</option>`).join('')}
+          </select>
+          <select name="language" id="bulk-language">${languageOptions()}</select>
+          <input type="text" name="tags" id="bulk-tags" placeholder="tags, comma separated">
+          <button type="submit" class="action-btn" disabled>Apply</button>
+        </form>
         <table>
           <thead>
             <tr>
-              <th>Filename</th>
-              <th>Language</th>
-              <th>Date</th>
+              <th><input type="checkbox" id="select-page" title="Select all on this page"></th>
+              <th>${sortLink('title', 'Title')}</th>
+              <th>Description</th>
+              <th>${sortLink('language', 'Language')}</th>
+              <th>Tags</th>
+              <th>Owner</th>
+              <th>${sortLink('timestamp', 'Date')}</th>
               <th>Actions</th>
             </tr>
           </thead>
           <tbody id="snippet-list">
-            ${snippets.map(s => `
-              <tr>
-                <td>${s.filename}</td>
-                <td>${s.language}</td>
+            ${snippets.map(s => {
+              const highlights = s.rank !== null && buildHighlights(s, groups);
+              return `
+              <tr data-id="${escapeHtml(s.id)}"
+                  data-filename="${escapeHtml(s.filename)}"
+                  data-slug="${escapeHtml(s.slug)}"
+                  data-title="${escapeHtml(s.title)}"
+                  data-description="${escapeHtml(s.description)}"
+                  data-language="${escapeHtml(s.language)}"
+                  data-tags="${escapeHtml(s.tags.join(','))}"
+                  data-timestamp="${escapeHtml(formatTimestamp(s.timestamp))}">
+                <td><input type="checkbox" class="row-select" name="ids" value="${escapeHtml(s.id)}" form="bulk-form"></td>
+                <td>
+                  ${s.title ? escapeHtml(s.title) : `<span class="untitled">${escapeHtml(s.filename)}</span>`}
+                  ${s.slug ? `<div class="description">/s/${escapeHtml(s.slug)}</div>` : ''}
+                  ${highlights ? `<div class="excerpt">${highlights.code
+                    .map(e => `<div><span class="ln">${e.line}</span> ${e.html}</div>`).join('')}</div>` : ''}
+                </td>
+                <td class="description">${escapeHtml(s.description)}</td>
+                <td>${escapeHtml(s.language)}</td>
+                <td>${s.tags.map(tag => `<a class="tag" href="${escapeHtml(adminListUrl(state, { tag, page: 1 }))}">${escapeHtml(tag)}</a>`).join('')}</td>
+                <td>${escapeHtml(s.owner || '')}</td>
                 <td>${formatTimestamp(s.timestamp)}</td>
                 <td class="actions">
-                  <a href="/edit?file=${encodeURIComponent(s.filename)}">[edit]</a>
-                  <a href="/view?file=${encodeURIComponent(s.filename)}" target="_blank">[view]</a>
-                  <a href="#" class="delete-link" data-filename="${encodeURIComponent(s.filename)}">[delete]</a>
-                  <a href="#" class="download-link" data-filename="${encodeURIComponent(s.filename)}" data-language="${s.language}">[download]</a>
+                  ${canEdit ? `<a href="/edit?id=${encodeURIComponent(s.id)}" class="edit-link">[edit]</a>` : ''}
+                  <a href="${snippetPath(s)}" class="view-link" target="_blank">[view]</a>
+                  <a href="/history?id=${encodeURIComponent(s.id)}">[history]</a>
+                  ${canEdit ? `<a href="#" class="delete-link">[delete]</a>` : ''}
+                  <a href="${snippetPath(s)}/raw/${snippetFileName(s)}?download=1">[download]</a>
+                  ${canEdit ? `<a href="#" class="share-link">[share]</a>` : ''}
+                </td>
+              </tr>
+            `;
+            }).join('')}
+          </tbody>
+        </table>
+        ${snippets.length ? '' : '<div class="no-results">No snippets found.</div>'}
+        <div class="pagination">
+          ${state.page > 1 ? `<a href="${escapeHtml(adminListUrl(state, { page: state.page - 1 }))}">&larr; Previous</a>` : ''}
+          <span class="description">Page ${state.page} of ${pages} · ${total} snippet(s)${state.q && !state.sort ? ' · best matches first' : ''}</span>
+          ${state.page < pages ? `<a href="${escapeHtml(adminListUrl(state, { page: state.page + 1 }))}">Next &rarr;</a>` : ''}
+          <span class="description">Export ${total} snippet(s): ${Object.keys(EXPORT_FORMATS).map(exportLink).join(' · ')}</span>
+        </div>
+        <h3 id="shares">Active share links</h3>
+        ${shareLinks.length ? `
+        <table>
+          <thead>
+            <tr>
+              <th>Snippet</th>
+              <th>Created</th>
+              <th>Expires</th>
+              <th>Views</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody id="share-list">
+            ${shareLinks.map(l => `
+              <tr>
+                <td>${escapeHtml(l.title || l.snippet_filename)}</td>
+                <td>${formatTimestamp(l.created_at)}</td>
+                <td>${l.expires_at ? formatTimestamp(l.expires_at) : 'never'}</td>
+                <td>${l.views}${l.max_views ? ` / ${l.max_views}` : ''}</td>
+                <td class="actions">
+                  <a href="${escapeHtml(shareUrl(req, l.token))}" target="_blank">[open]</a>
+                  ${canEdit ? `<a href="#" class="revoke-link" data-token="${escapeHtml(l.token)}">[revoke]</a>` : ''}
                 </td>
               </tr>
             `).join('')}
           </tbody>
         </table>
-        <div id="no-results" class="no-results" style="display:none;">No snippets found.</div>
+        ` : '<p class="description">No active share links.</p>'}
         <p><a href="/">Back to form</a></p>
       </div>
-      ${getQuickSnippetDialog(req.csrfToken())}
+      ${canEdit ? getQuickSnippetDialog(req.csrfToken()) : ''}
       <form id="admin-form" style="display:none;">
         <input type="hidden" name="_csrf" value="${req.csrfToken()}">
       </form>
+      <!-- Share Modal -->
+      <div id="share-modal" style="display:none; position:fixed; top:0; left:0; right:0; bottom:0; background:rgba(0,0,0,0.7); z-index:2000;">
+        <div style="background:#232323; border-radius:8px; max-width:500px; margin:10% auto; padding:2em; position:relative;">
+          <button id="close-share-modal" style="position:absolute; top:1em; right:1em; background:#ff5555; color:#fff; border:none; border-radius:3px; padding:0.3em 0.7em; cursor:pointer;">✖</button>
+          <h2>Share Snippet</h2>
+          <label for="share-expires" style="color:#aaa;">Expires:</label>
+          <select id="share-expires" class="modal-field">
+            <option value="">Never</option>
+            <option value="1">In 1 hour</option>
+            <option value="24" selected>In 1 day</option>
+            <option value="168">In 7 days</option>
+            <option value="720">In 30 days</option>
+          </select>
+          <label for="share-max-views" style="color:#aaa;">View limit:</label>
+          <input type="number" id="share-max-views" class="modal-field" min="1" placeholder="Unlimited">
+          <button id="create-share" class="action-btn">Create link</button>
+          <div id="share-result" style="display:none; margin-top:1em;">
+            <input type="text" id="share-url" class="modal-field" readonly>
+            <button id="copy-share" class="action-btn">Copy</button>
+          </div>
+        </div>
+      </div>
       <!-- Monaco Modal -->
       <div id="snippet-modal" style="display:none; position:fixed; top:0; left:0; right:0; bottom:0; background:rgba(0,0,0,0.7); z-index:2000;">
         <div style="background:#232323; border-radius:8px; max-width:800px; margin:5% auto; padding:2em; position:relative;">
           <button id="close-modal" style="position:absolute; top:1em; right:1em; background:#ff5555; color:#fff; border:none; border-radius:3px; padding:0.3em 0.7em; cursor:pointer;">✖</button>
           <h2 id="modal-title"></h2>
+          <div id="modal-meta" style="display:none;">
+            <label for="modal-snippet-title" style="color:#aaa;">Title:</label>
+            <input type="text" id="modal-snippet-title" class="modal-field">
+            <label for="modal-description" style="color:#aaa;">Description:</label>
+            <textarea id="modal-description" class="modal-field" rows="2"></textarea>
+            <label for="modal-tags" style="color:#aaa;">Tags:</label>
+            <input type="text" id="modal-tags" class="modal-field" placeholder="comma separated">
+            <label for="modal-slug" style="color:#aaa;">Slug:</label>
+            <input type="text" id="modal-slug" class="modal-field" placeholder="optional, e.g. prod-lock-query">
+          </div>
           <div>
             <label for="modal-language" style="color:#aaa;">Language:</label>
             <select id="modal-language" style="margin-bottom:1em;">
-              <option value="plaintext">Plain Text</option>
-              <option value="sql">SQL</option>
-              <option value="powershell">PowerShell</option>
-              <option value="javascript">JavaScript</option>
-              <option value="python">Python</option>
-              <option value="bash">Bash</option>
+              ${languageOptions()}
             </select>
           </div>
           <div id="monaco-modal" style="height:350px;width:100%;border-radius:4px;margin-bottom:1em;"></div>
@@ -640,18 +1660,18 @@ app.get('/admin', requireAuth, csrfProtection, async (req, res) => {
       </div>
       <script src="https://cdn.jsdelivr.net/npm/monaco-editor@0.45.0/min/vs/loader.js"></script>
       <script>
-        let monacoInstance = null, currentEditFilename = null, isEditMode = false;
-        const langMap = {
-          plaintext: 'plaintext',
-          sql: 'sql',
-          powershell: 'powershell',
-          javascript: 'javascript',
-          python: 'python',
-          bash: 'shell'
-        };
+        let monacoInstance = null, currentEditId = null, isEditMode = false;
+        const langMap = ${JSON.stringify(languages.monacoLanguages())};
 
-        function showModal(title, code, language, editable) {
+        function showModal(title, code, language, editable, meta) {
           document.getElementById('modal-title').textContent = title;
+          document.getElementById('modal-meta').style.display = editable ? '' : 'none';
+          if (meta) {
+            document.getElementById('modal-snippet-title').value = meta.title || '';
+            document.getElementById('modal-description').value = meta.description || '';
+            document.getElementById('modal-tags').value = (meta.tags || '').split(',').join(', ');
+            document.getElementById('modal-slug').value = meta.slug || '';
+          }
           document.getElementById('modal-language').value = language;
           document.getElementById('modal-language').disabled = !editable;
           document.getElementById('modal-actions').style.display = editable ? '' : 'none';
@@ -701,43 +1721,44 @@ app.get('/admin', requireAuth, csrfProtection, async (req, res) => {
         // Add this event listener to handle [edit] and [view] links
         document.getElementById('snippet-list').addEventListener('click', async function(event) {
           const target = event.target;
-          if (target.textContent === '[edit]') {
+          const row = target.closest('tr');
+          if (target.classList.contains('edit-link')) {
             event.preventDefault();
-            const filename = decodeURIComponent(target.href.split('file=')[1]);
-            currentEditFilename = filename;
-            // Debug log
-            console.log('Editing file:', currentEditFilename);
+            currentEditId = row.dataset.id;
             // Fetch snippet data
-            const res = await fetch('/snippet-raw?file=' + filename);
+            const res = await fetch('/snippet-raw?id=' + encodeURIComponent(currentEditId));
             const code = await res.text();
-            // Fetch language
-            const row = target.closest('tr');
-            const language = row ? row.children[1].textContent : 'plaintext';
-            showModal('Edit Snippet', code, language, true);
+            const language = row ? row.dataset.language : 'plaintext';
+            showModal('Edit Snippet', code, language, true, row ? row.dataset : null);
           }
-          if (target.textContent === '[view]') {
+          if (target.classList.contains('view-link')) {
             event.preventDefault();
-            const filename = target.href.split('file=')[1];
-            currentEditFilename = filename;
-            const res = await fetch('/snippet-raw?file=' + filename);
+            currentEditId = row.dataset.id;
+            const res = await fetch('/snippet-raw?id=' + encodeURIComponent(currentEditId));
             const code = await res.text();
-            // Fetch language
-            const row = target.closest('tr');
-            const language = row ? row.children[1].textContent : 'plaintext';
+            const language = row ? row.dataset.language : 'plaintext';
             showModal('View Snippet', code, language, false);
           }
 
+          if (target.classList.contains('share-link')) {
+            event.preventDefault();
+            shareId = row.dataset.id;
+            document.getElementById('share-result').style.display = 'none';
+            document.getElementById('share-max-views').value = '';
+            document.getElementById('share-modal').style.display = 'block';
+          }
+
           if (target.classList.contains('delete-link')) {
             event.preventDefault();
-            const filename = decodeURIComponent(target.dataset.filename);
-            if (!confirm('Delete snippet "' + filename + '"? This cannot be undone.')) return;
+            const name = row.dataset.title || row.dataset.filename;
+            if (!confirm('Move snippet "' + name + '" to the trash?')) return;
 
             // Refresh CSRF token for admin-form
             await refreshCsrfTokenForForm('admin-form');
             const csrfToken = document.querySelector('#admin-form input[name="_csrf"]').value;
 
             const params = new URLSearchParams();
-            params.append('file', filename);
+            params.append('id', row.dataset.id);
             params.append('_csrf', csrfToken);
 
             try {
@@ -749,8 +1770,8 @@ app.get('/admin', requireAuth, csrfProtection, async (req, res) => {
               });
               if (res.ok) {
                 // Remove the row from the table
-                const row = target.closest('tr');
-                if (row) row.remove();
+                row.remove();
+                updateBulkSelection();
               } else {
                 const data = await res.json();
                 alert(data.error || 'Failed to delete snippet');
@@ -761,11 +1782,63 @@ app.get('/admin', requireAuth, csrfProtection, async (req, res) => {
           }
         });
 
-        // Save changes handler for the modal
-        document.getElementById('save-edit').onclick = async function() {
-          if (!monacoInstance) {
-            alert('Editor not ready');
-            return;
+        // Bulk actions: the row checkboxes belong to #bulk-form. "Select all matching"
+        // sends the current filter instead of ids, so it reaches past this page.
+        const bulkForm = document.getElementById('bulk-form');
+        const matchingTotal = ${total};
+        const rowBoxes = () => [...document.querySelectorAll('.row-select')];
+
+        function updateBulkSelection() {
+          const boxes = rowBoxes();
+          const checked = boxes.filter(box => box.checked).length;
+          const pageSelected = boxes.length > 0 && checked === boxes.length;
+          if (!pageSelected) bulkForm.elements.all_matching.value = '';
+          const allMatching = bulkForm.elements.all_matching.value === '1';
+          document.getElementById('select-page').checked = pageSelected;
+          document.getElementById('bulk-count').textContent = allMatching
+            ? 'All ' + matchingTotal + ' matching snippets selected'
+            : checked + ' selected';
+          document.getElementById('select-matching').style.display =
+            pageSelected && !allMatching && matchingTotal > boxes.length ? '' : 'none';
+          bulkForm.querySelector('button[type="submit"]').disabled = checked === 0;
+        }
+
+        function showBulkFields() {
+          const action = bulkForm.elements.action.value;
+          document.getElementById('bulk-format').style.display = action === 'export' ? '' : 'none';
+          document.getElementById('bulk-language').style.display = action === 'language' ? '' : 'none';
+          document.getElementById('bulk-tags').style.display = action === 'tag' || action === 'untag' ? '' : 'none';
+        }
+
+        document.getElementById('select-page').onchange = function() {
+          rowBoxes().forEach(box => { box.checked = this.checked; });
+          updateBulkSelection();
+        };
+        document.getElementById('snippet-list').addEventListener('change', event => {
+          if (event.target.classList.contains('row-select')) updateBulkSelection();
+        });
+        document.getElementById('select-matching').onclick = event => {
+          event.preventDefault();
+          bulkForm.elements.all_matching.value = '1';
+          updateBulkSelection();
+        };
+        bulkForm.elements.action.onchange = showBulkFields;
+        bulkForm.onsubmit = event => {
+          const count = bulkForm.elements.all_matching.value === '1'
+            ? matchingTotal
+            : rowBoxes().filter(box => box.checked).length;
+          if (bulkForm.elements.action.value === 'delete' && !confirm('Move ' + count + ' snippet(s) to the trash?')) {
+            event.preventDefault();
+          }
+        };
+        showBulkFields();
+        updateBulkSelection();
+
+        // Save changes handler for the modal
+        document.getElementById('save-edit').onclick = async function() {
+          if (!monacoInstance) {
+            alert('Editor not ready');
+            return;
           }
           const code = monacoInstance.getValue();
           const language = document.getElementById('modal-language').value;
@@ -774,12 +1847,14 @@ app.get('/admin', requireAuth, csrfProtection, async (req, res) => {
           const params = new URLSearchParams();
           params.append('language', language);
           params.append('snippet', code);
+          params.append('title', document.getElementById('modal-snippet-title').value);
+          params.append('description', document.getElementById('modal-description').value);
+          params.append('tags', document.getElementById('modal-tags').value);
+          params.append('slug', document.getElementById('modal-slug').value);
+          // No embeddable field: the modal has no checkbox, so the setting is kept
           params.append('_csrf', csrfToken);
 
-          // Debug log
-          console.log('Saving:', { currentEditFilename, language, code, csrfToken });
-
-          const res = await fetch('/edit?file=' + encodeURIComponent(currentEditFilename), {
+          const res = await fetch('/edit?id=' + encodeURIComponent(currentEditId), {
             method: 'POST',
             headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
             body: params,
@@ -790,30 +1865,152 @@ app.get('/admin', requireAuth, csrfProtection, async (req, res) => {
           } else if (res.ok) {
             window.location.reload();
           } else {
-            alert('Failed to save changes');
+            alert(res.status === 400 ? await res.text() : 'Failed to save changes');
+          }
+        };
+
+        let shareId = null;
+
+        document.getElementById('close-share-modal').onclick = () => {
+          document.getElementById('share-modal').style.display = 'none';
+          if (document.getElementById('share-result').style.display !== 'none') {
+            window.location.reload();
           }
         };
+
+        document.getElementById('create-share').onclick = async function() {
+          await refreshCsrfTokenForForm('admin-form');
+          const params = new URLSearchParams();
+          params.append('id', shareId);
+          params.append('expires_in', document.getElementById('share-expires').value);
+          params.append('max_views', document.getElementById('share-max-views').value);
+          params.append('_csrf', document.querySelector('#admin-form input[name="_csrf"]').value);
+          const res = await fetch('/share', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: params,
+            credentials: 'same-origin'
+          });
+          const data = await res.json();
+          if (!res.ok) return alert(data.error || 'Failed to create share link');
+          document.getElementById('share-url').value = data.url;
+          document.getElementById('share-result').style.display = '';
+        };
+
+        document.getElementById('copy-share').onclick = () => {
+          navigator.clipboard.writeText(document.getElementById('share-url').value);
+        };
+
+        const shareList = document.getElementById('share-list');
+        if (shareList) {
+          shareList.addEventListener('click', async function(event) {
+            const target = event.target;
+            if (!target.classList.contains('revoke-link')) return;
+            event.preventDefault();
+            if (!confirm('Revoke this share link? Anyone using it will lose access.')) return;
+            await refreshCsrfTokenForForm('admin-form');
+            const params = new URLSearchParams();
+            params.append('token', target.dataset.token);
+            params.append('_csrf', document.querySelector('#admin-form input[name="_csrf"]').value);
+            const res = await fetch('/share/revoke', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+              body: params,
+              credentials: 'same-origin'
+            });
+            if (res.ok) {
+              target.closest('tr').remove();
+            } else {
+              const data = await res.json();
+              alert(data.error || 'Failed to revoke share link');
+            }
+          });
+        }
+
+        // Filters apply as soon as they change; the search box submits on Enter
+        document.querySelectorAll('#filters select').forEach(select => {
+          select.addEventListener('change', () => select.form.submit());
+        });
       </script>
     </body>
     </html>
   `);
 });
 
+// Redirects back to the admin table the bulk form was sent from, keeping its filters
+const adminBulkRedirect = (res, returnTo, key, message) => {
+  const back = /^\/admin(\?|$)/.test(returnTo || '') ? returnTo : '/admin';
+  res.redirect(`${back}${back.includes('?') ? '&' : '?'}${key}=${encodeURIComponent(message)}`);
+};
+
+// Bulk actions from the admin table. Viewers may export; everything else needs an editor.
+// Exports are JSON unless one of the export download formats is chosen.
+app.post('/admin/bulk', requireAuth, csrfProtection, async (req, res) => {
+  const { action, return_to: returnTo, format } = req.body;
+  if (!Object.hasOwn(BULK_ACTIONS, action)) return adminBulkRedirect(res, returnTo, 'error', 'Unknown bulk action');
+  if (action === 'export' && format && !Object.hasOwn(EXPORT_FORMATS, format)) {
+    return adminBulkRedirect(res, returnTo, 'error', 'Unknown export format');
+  }
+  if (action !== 'export' && !hasRole(req.user, 'editor')) {
+    return adminBulkRedirect(res, returnTo, 'error', 'This action requires the editor role');
+  }
+  const { options, error, details } = bulkOptions(action, { language: req.body.language, tags: req.body.tags });
+  if (error) return adminBulkRedirect(res, returnTo, 'error', details);
+
+  const ids = [].concat(req.body.ids || []).filter(id => typeof id === 'string' && id);
+  const selection = req.body.all_matching === '1'
+    ? { filter: { q: req.body.filter_q, language: req.body.filter_language, tags: parseTags(req.body.filter_tag) } }
+    : { ids };
+  if (!selection.filter && !ids.length) return adminBulkRedirect(res, returnTo, 'error', 'No snippets selected');
+  try {
+    const resolved = await resolveBulkTargets(selection);
+    if (resolved.error) return adminBulkRedirect(res, returnTo, 'error', resolved.details);
+    const results = await runBulkAction(req, action, resolved.targets, options, 'web');
+    const failed = results.filter(r => r.status === 'error');
+    if (action === 'export' && format) {
+      return sendSnippetExport(res, format, results.filter(r => r.snippet).map(r => r.snippet));
+    }
+    if (action === 'export') {
+      res.attachment('snippets.json');
+      return res.send(JSON.stringify({
+        exported_at: new Date().toISOString(),
+        snippets: results.filter(r => r.snippet).map(r => r.snippet)
+      }, null, 2));
+    }
+    const message = BULK_ACTIONS[action].summary(results.length - failed.length) +
+      (failed.length ? `; ${failed.length} failed (${failed.map(r => `${r.id}: ${r.error}`).join(', ')})` : '');
+    adminBulkRedirect(res, returnTo, failed.length ? 'error' : 'message', message);
+  } catch (err) {
+    console.error('Bulk action error:', err);
+    res.status(500).send('Bulk action failed');
+  }
+});
+
+// The admin table's filters as a download in any export format
+app.get('/admin/export', requireAuth, async (req, res) => {
+  const format = typeof req.query.format === 'string' ? req.query.format : 'jsonl';
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) return res.status(400).send('Unknown export format');
+  const state = adminListState(req.query);
+  await sendSnippetExport(res, format, exportedSnippets({ q: state.q, language: state.language, tags: state.tag ? [state.tag] : [] }));
+});
+
 app.get('/snippet-raw', requireAuth, async (req, res) => {
-  const filename = req.query.file;
-  if (!filename) return res.status(400).send('No file specified');
-  const { rows } = await pool.query('SELECT code FROM snippets WHERE filename = $1', [filename]);
-  if (!rows.length) return res.status(404).send('File not found');
-  res.type('text/plain').send(rows[0].code);
+  const ref = snippetRef(req.query);
+  if (!ref) return res.status(400).send('No snippet specified');
+  const snippet = await findSnippet(ref);
+  if (!snippet) return res.status(404).send('Snippet not found');
+  res.type('text/plain').send(snippet.code);
 });
 
-app.post('/delete', requireAuth, csrfProtection, async (req, res) => {
-  const filename = req.body.file;
-  if (!filename) return res.status(400).json({ error: 'No file specified' });
+app.post('/delete', requireAuth, requireRole('editor'), csrfProtection, async (req, res) => {
+  const ref = snippetRef(req.body);
+  if (!ref) return res.status(400).json({ error: 'No snippet specified' });
   try {
-    const result = await pool.query('DELETE FROM snippets WHERE filename = $1', [filename]);
-    if (result.rowCount === 0) return res.status(404).json({ error: 'File not found' });
-    res.json({ success: true, message: 'File deleted successfully' });
+    const snippet = await findSnippet(ref);
+    if (!snippet) return res.status(404).json({ error: 'Snippet not found' });
+    await storage.trashSnippet(snippet.filename, req.user.id);
+    await recordSnippetChange(req, 'snippet.delete', snippet, null);
+    res.json({ success: true, message: 'Snippet moved to the trash' });
   } catch (err) {
     console.error('Delete error:', err);
     res.status(500).json({ error: err.message });
@@ -824,12 +2021,13 @@ app.get('/get-csrf', csrfProtection, (req, res) => {
   res.json({ csrfToken: req.csrfToken() });
 });
 
-app.get('/edit', requireAuth, csrfProtection, async (req, res) => {
-  const filename = req.query.file;
-  if (!filename) return res.status(400).send('No file specified');
-  const { rows } = await pool.query('SELECT * FROM snippets WHERE filename = $1', [filename]);
-  if (!rows.length) return res.status(404).send('File not found');
-  const content = rows[0];
+app.get('/edit', requireAuth, requireRole('editor'), csrfProtection, async (req, res) => {
+  const ref = snippetRef(req.query);
+  if (!ref) return res.status(400).send('No snippet specified');
+  const content = await findSnippet(ref);
+  if (!content) return res.status(404).send('Snippet not found');
+  // Old ?file= links land on the id-based URL
+  if (req.query.id !== content.id) return res.redirect(301, `/edit?id=${encodeURIComponent(content.id)}`);
 
   res.send(`
     <!DOCTYPE html>
@@ -841,54 +2039,54 @@ app.get('/edit', requireAuth, csrfProtection, async (req, res) => {
         .container { max-width: 900px; margin: 0 auto; }
         .snippet-window { background: #232323; border-radius: 8px; box-shadow: 0 4px 24px #000a; padding: 2em; }
         label { color: #aaa; font-size: 1em; margin-top: 1em; display: block; }
-        select, button {
-          width: 100%; margin: 1em 0 0.5em 0; padding: 0.7em 1em;
+        select, button, input[type="text"], textarea {
+          width: 100%; margin: 1em 0 0.5em 0; padding: 0.7em 1em; box-sizing: border-box;
           background: #252526; color: #eee; border: 1px solid #333; border-radius: 4px; font-size: 1em;
         }
+        textarea { font-family: inherit; }
         #monaco-snippet { height: 300px; width: 100%; border-radius: 4px; margin-bottom: 1em; }
         button { background: #007acc; color: white; border: none; cursor: pointer; }
       </style>
       <script src="https://cdn.jsdelivr.net/npm/monaco-editor@0.45.0/min/vs/loader.js"></script>
     </head>
     <body>
-      ${getNavigation('admin')}
+      ${getNavigation('admin', req.user)}
       <div class="container">
         <div class="snippet-window">
           <h2>Edit Snippet</h2>
           <form id="edit-form" autocomplete="off" spellcheck="false">
             <input type="hidden" name="_csrf" value="${req.csrfToken()}">
+            <label for="snippet-title">Title:</label>
+            <input type="text" name="title" id="snippet-title" value="${escapeHtml(content.title)}">
+            <label for="snippet-description">Description:</label>
+            <textarea name="description" id="snippet-description" rows="2">${escapeHtml(content.description)}</textarea>
+            <label for="snippet-tags">Tags:</label>
+            <input type="text" name="tags" id="snippet-tags" value="${escapeHtml(content.tags.join(', '))}" placeholder="comma separated">
+            <label for="snippet-slug">Slug:</label>
+            <input type="text" name="slug" id="snippet-slug" value="${escapeHtml(content.slug)}" placeholder="optional, e.g. prod-lock-query">
+            <input type="hidden" name="embeddable_present" value="1">
+            <label><input type="checkbox" name="embeddable" value="1"${content.embeddable ? ' checked' : ''}> Allow embedding in other sites</label>
             <label for="language">Language:</label>
             <select name="language" id="snippet-lang">
-              <option value="plaintext"${content.language === 'plaintext' ? ' selected' : ''}>Plain Text</option>
-              <option value="sql"${content.language === 'sql' ? ' selected' : ''}>SQL</option>
-              <option value="powershell"${content.language === 'powershell' ? ' selected' : ''}>PowerShell</option>
-              <option value="javascript"${content.language === 'javascript' ? ' selected' : ''}>JavaScript</option>
-              <option value="python"${content.language === 'python' ? ' selected' : ''}>Python</option>
-              <option value="bash"${content.language === 'bash' ? ' selected' : ''}>Bash</option>
+              ${languageOptions(content.language)}
             </select>
             <input type="hidden" name="snippet" id="snippet-hidden">
             <div id="monaco-snippet"></div>
             <button type="submit">💾 Save Changes</button>
           </form>
+          <p><a href="/history?id=${encodeURIComponent(content.id)}" style="color: #7ecfff;">View revision history</a></p>
         </div>
       </div>
       ${getQuickSnippetDialog(req.csrfToken())}
       <script>
         document.addEventListener('DOMContentLoaded', function() {
-          const langMap = {
-            plaintext: 'plaintext',
-            sql: 'sql',
-            powershell: 'powershell',
-            javascript: 'javascript',
-            python: 'python',
-            bash: 'shell'
-          };
+          const langMap = ${JSON.stringify(languages.monacoLanguages())};
           let snippetEditor;
           require.config({ paths: { 'vs': 'https://cdn.jsdelivr.net/npm/monaco-editor@0.45.0/min/vs' }});
           require(['vs/editor/editor.main'], function () {
             snippetEditor = monaco.editor.create(document.getElementById('monaco-snippet'), {
               value: ${JSON.stringify(content.code)},
-              language: langMap["${content.language}"] || 'plaintext',
+              language: langMap[${JSON.stringify(languages.normalize(content.language) || content.language)}] || 'plaintext',
               theme: 'vs-dark',
               fontSize: 16,
               minimap: { enabled: false },
@@ -913,7 +2111,7 @@ app.get('/edit', requireAuth, csrfProtection, async (req, res) => {
               const csrfToken = document.querySelector('#edit-form input[name="_csrf"]').value;
               params.append('_csrf', csrfToken);
 
-              fetch('/edit?file=${encodeURIComponent(filename)}', {
+              fetch('/edit?id=${encodeURIComponent(content.id)}', {
                 method: 'POST',
                 headers: { 
                   'Accept': 'text/html,application/xhtml+xml,application/xml',
@@ -921,11 +2119,11 @@ app.get('/edit', requireAuth, csrfProtection, async (req, res) => {
                 },
                 body: params,
                 credentials: 'same-origin'
-              }).then(res => {
+              }).then(async res => {
                 if (res.redirected) {
                   window.location.href = res.url;
                 } else {
-                  alert('Failed to save changes');
+                  alert(res.status === 400 ? await res.text() : 'Failed to save changes');
                 }
               });
             });
@@ -937,32 +2135,60 @@ app.get('/edit', requireAuth, csrfProtection, async (req, res) => {
   `);
 });
 
-app.post('/edit', requireAuth, csrfProtection, async (req, res) => {
-  const filename = req.query.file;
-  if (!filename) return res.status(400).send('No file specified');
+app.post('/edit', requireAuth, requireRole('editor'), csrfProtection, async (req, res) => {
+  const ref = snippetRef(req.query);
+  if (!ref) return res.status(400).send('No snippet specified');
   try {
-    await pool.query(
-      'UPDATE snippets SET language = $1, code = $2 WHERE filename = $3',
-      [req.body.language, req.body.snippet, filename]
-    );
-    res.redirect('/admin');
+    const snippet = await findSnippet(ref);
+    if (!snippet) return res.status(404).send('Snippet not found');
+    const slug = normalizeSlug(req.body.slug);
+    const slugError = await validateSlug(slug, snippet.filename);
+    if (slugError) return res.status(400).send(slugError);
+    const language = normalizeLanguage(req.body.language, snippet.language);
+    if (!language) return res.status(400).send(unknownLanguageMessage(req.body.language));
+    const { code, findings, blocked } = screenSecrets(req.body.snippet);
+    if (blocked) return res.status(400).send(secretsBlockedMessage(findings));
+    const updated = await updateSnippet(snippet.filename, {
+      language,
+      code,
+      title: req.body.title?.trim(),
+      description: req.body.description?.trim(),
+      tags: parseTags(req.body.tags),
+      slug,
+      // An unticked checkbox is not sent, so only forms that have one (marked by
+      // embeddable_present) change the setting; the admin modal leaves it as is
+      embeddable: req.body.embeddable_present === '1' ? req.body.embeddable === '1' : undefined,
+      secretFindings: findings
+    });
+    await recordSnippetChange(req, 'snippet.update', snippet, updated);
+    // The snippet page explains what was flagged or redacted
+    res.redirect(findings.length ? snippetPath(updated) : '/admin');
   } catch (err) {
     res.status(500).send('Failed to update snippet');
   }
 });
 
+// Old /view?file= links redirect to the canonical /s/ address
 app.get('/view', requireAuth, async (req, res) => {
-  const filename = req.query.file;
-  if (!filename) return res.status(400).send('No file specified');
-  const { rows } = await pool.query('SELECT * FROM snippets WHERE filename = $1', [filename]);
-  if (!rows.length) return res.status(404).send('File not found');
-  const content = rows[0];
+  const ref = snippetRef(req.query);
+  if (!ref) return res.status(400).send('No snippet specified');
+  const content = await findSnippet(ref);
+  if (!content) return res.status(404).send('Snippet not found');
+  res.redirect(301, snippetPath(content));
+});
+
+app.get('/s/:ref', requireAuth, async (req, res) => {
+  const content = await findSnippet(req.params.ref);
+  if (!content) return res.status(404).send('Snippet not found');
+  const filename = content.filename;
+  const isMarkdown = content.language === 'markdown';
+  const embed = content.embeddable ? embedUrls(req, content) : null;
 
   res.send(`
     <!DOCTYPE html>
     <html>
     <head>
-      <title>View Snippet - ${filename}</title>
+      <title>View Snippet - ${escapeHtml(content.title || filename)}</title>
       <style>
         body { font-family: monospace; background: #1e1e1e; color: #eee; padding: 2em; }
         .container { max-width: 900px; margin: 0 auto; }
@@ -970,34 +2196,46 @@ app.get('/view', requireAuth, async (req, res) => {
         #monaco-viewer { height: 400px; width: 100%; border-radius: 4px; margin-bottom: 1em; }
         h2 { margin-top: 0; }
         a { color: #7ecfff; }
+        .tag { display: inline-block; background: #333; color: #7ecfff; border-radius: 3px; padding: 0 0.4em; margin-right: 0.3em; }
+        .embed-code { width: 100%; box-sizing: border-box; background: #1e1e1e; color: #ccc; border: 1px solid #333; border-radius: 4px; padding: 0.5em; font-family: monospace; margin-bottom: 0.5em; }
+        .secret-warning { background: #3a2e12; border: 1px solid #7a5c1a; color: #f0c674; border-radius: 4px; padding: 0.6em 0.8em; }
+        ${MARKDOWN_STYLES}
       </style>
-      <script src="https://cdn.jsdelivr.net/npm/monaco-editor@0.45.0/min/vs/loader.js"></script>
+      ${isMarkdown ? HLJS_STYLESHEET : '<script src="https://cdn.jsdelivr.net/npm/monaco-editor@0.45.0/min/vs/loader.js"></script>'}
     </head>
     <body>
-      ${getNavigation('admin')}
+      ${getNavigation('admin', req.user)}
       <div class="container">
         <div class="snippet-window">
-          <h2>${filename}</h2>
-          <p><strong>Language:</strong> ${content.language}</p>
-          <div id="monaco-viewer"></div>
-          <p><a href="/admin">Back to Admin</a></p>
+          <h2>${escapeHtml(content.title || filename)}</h2>
+          ${content.description ? `<p>${escapeHtml(content.description)}</p>` : ''}
+          ${content.secret_findings && !content.secrets_reviewed_at ? `
+            <p class="secret-warning">⚠️ ${escapeHtml(secretsWarning(content.secret_findings))}.
+            ${hasRole(req.user, 'admin') ? '<a href="/admin/secrets">Review</a>' : ''}</p>
+          ` : ''}
+          <p><strong>Language:</strong> ${escapeHtml(content.language)}${content.detected_language ? ` <span style="color: #aaa;">(detected, ${Math.round(content.language_confidence * 100)}% sure)</span>` : ''}</p>
+          ${content.tags.length ? `<p><strong>Tags:</strong> ${content.tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('')}</p>` : ''}
+          ${isMarkdown ? `<div class="markdown-body">${renderMarkdown(content.code)}</div>` : '<div id="monaco-viewer"></div>'}
+          ${embed ? `
+            <p><strong>Embed</strong> (script or iframe; add <code>data-lines="3-10"</code> / <code>?lines=3-10</code> or <code>data-line-numbers</code> / <code>?line_numbers=1</code>):</p>
+            <input class="embed-code" readonly value="${escapeHtml(embed.script)}" onclick="this.select()">
+            <input class="embed-code" readonly value="${escapeHtml(embed.iframe)}" onclick="this.select()">
+          ` : ''}
+          <p>
+            <a href="${snippetPath(content)}/raw/${snippetFileName(content)}">Raw</a> |
+            <a href="${snippetPath(content)}/raw/${snippetFileName(content)}?download=1">Download</a> |
+            <a href="/history?id=${encodeURIComponent(content.id)}">History</a> | <a href="/admin">Back to Admin</a>
+          </p>
         </div>
       </div>
-      <script>
+      ${isMarkdown ? '' : `<script>
         document.addEventListener('DOMContentLoaded', function() {
-          const langMap = {
-            plaintext: 'plaintext',
-            sql: 'sql',
-            powershell: 'powershell',
-            javascript: 'javascript',
-            python: 'python',
-            bash: 'shell'
-          };
+          const langMap = ${JSON.stringify(languages.monacoLanguages())};
           require.config({ paths: { 'vs': 'https://cdn.jsdelivr.net/npm/monaco-editor@0.45.0/min/vs' }});
           require(['vs/editor/editor.main'], function () {
             monaco.editor.create(document.getElementById('monaco-viewer'), {
               value: ${JSON.stringify(content.code)},
-              language: langMap["${content.language}"] || 'plaintext',
+              language: langMap[${JSON.stringify(languages.normalize(content.language) || content.language)}] || 'plaintext',
               theme: 'vs-dark',
               fontSize: 16,
               minimap: { enabled: false },
@@ -1010,215 +2248,2024 @@ app.get('/view', requireAuth, async (req, res) => {
             });
           });
         });
-      </script>
+      </script>`}
     </body>
     </html>
   `);
 });
 
-function formatTimestamp(ts) {
-  if (!ts) return '';
-  if (ts instanceof Date) ts = ts.toISOString();
-  return ts.replace(/T/, ' ').replace(/-/g, '/').slice(0, 19);
-}
-
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
-console.log('Admin JS loaded');
+const splitLines = (text) => {
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+};
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL, // Vercel env var
-  ssl: { rejectUnauthorized: false } // Neon requires SSL
-});
+// Side-by-side line diff; a removed block directly followed by an added block
+// is paired up row by row so modified lines sit next to each other.
+function renderSideBySideDiff(oldText, newText, oldLabel, newLabel) {
+  const rows = [];
+  let oldLine = 1;
+  let newLine = 1;
+  // Terminate both sides so a missing final newline doesn't mark the last line as changed
+  const terminate = (text) => (text && !text.endsWith('\n') ? `${text}\n` : text || '');
+  const parts = diffLines(terminate(oldText), terminate(newText));
 
-// Example: test connection
-pool.query('SELECT NOW()', (err, res) => {
-  if (err) {
-    console.error('Postgres connection error:', err);
-  } else {
-    console.log('Postgres connected:', res.rows[0]);
+  for (let i = 0; i < parts.length; i++) {
+    const part = parts[i];
+    if (part.removed || part.added) {
+      const removed = part.removed ? splitLines(part.value) : [];
+      const added = part.added ? splitLines(part.value) : (parts[i + 1]?.added ? splitLines(parts[++i].value) : []);
+      for (let j = 0; j < Math.max(removed.length, added.length); j++) {
+        rows.push([
+          j < removed.length ? { n: oldLine++, text: removed[j], type: 'del' } : null,
+          j < added.length ? { n: newLine++, text: added[j], type: 'add' } : null
+        ]);
+      }
+    } else {
+      splitLines(part.value).forEach(text => {
+        rows.push([{ n: oldLine++, text, type: 'ctx' }, { n: newLine++, text, type: 'ctx' }]);
+      });
+    }
   }
-});
 
-// Add API key middleware
-const requireApiKey = (req, res, next) => {
-  const apiKey = req.headers['x-api-key'];
-  if (!apiKey || apiKey !== process.env.API_KEY) {
-    return res.status(401).json({ error: 'Invalid API key' });
-  }
-  next();
-};
+  const cell = (line) => line
+    ? `<td class="ln">${line.n}</td><td class="${line.type}"><pre>${escapeHtml(line.text)}</pre></td>`
+    : '<td class="ln"></td><td class="empty"></td>';
+  return `
+    <table class="diff">
+      <tr><th colspan="2">${escapeHtml(oldLabel)}</th><th colspan="2">${escapeHtml(newLabel)}</th></tr>
+      ${rows.map(([l, r]) => `<tr>${cell(l)}${cell(r)}</tr>`).join('')}
+    </table>`;
+}
 
-// Add new REST API endpoint for posting snippets
-app.post('/api/snippets', requireApiKey, async (req, res) => {
-  try {
-    const { language, code } = req.body;
-    
-    if (!language || !code) {
-      return res.status(400).json({ 
-        error: 'Missing required fields',
-        required: ['language', 'code']
-      });
-    }
+app.get('/history', requireAuth, csrfProtection, async (req, res) => {
+  const ref = snippetRef(req.query);
+  if (!ref) return res.status(400).send('No snippet specified');
+  const snippet = await findSnippet(ref);
+  if (!snippet) return res.status(404).send('Snippet not found');
+  const filename = snippet.filename;
+  const revisions = await getRevisions(filename);
+  const byNumber = new Map(revisions.map(r => [r.revision, r]));
 
-    const timestamp = new Date().toISOString();
-    const filename = `${timestamp}.json`;
+  // Default to comparing the latest revision with the one before it
+  const to = byNumber.get(Number(req.query.to)) || revisions[0];
+  const from = byNumber.get(Number(req.query.from)) || (to && byNumber.get(to.revision - 1));
 
-    await pool.query(
-      'INSERT INTO snippets (filename, language, code, timestamp) VALUES ($1, $2, $3, $4)',
-      [filename, language, code, timestamp]
-    );
+  const fieldChanges = from && to
+    ? ['title', 'description', 'language', 'tags']
+      .map(field => ({
+        field,
+        before: field === 'tags' ? from.tags.join(', ') : from[field],
+        after: field === 'tags' ? to.tags.join(', ') : to[field]
+      }))
+      .filter(c => (c.before || '') !== (c.after || ''))
+    : [];
 
-    res.status(201).json({
-      success: true,
-      message: 'Snippet created successfully',
-      data: {
-        filename,
-        language,
-        timestamp
-      }
-    });
-  } catch (err) {
-    console.error('API Error:', err);
-    res.status(500).json({ 
-      error: 'Failed to create snippet',
-      details: err.message 
-    });
-  }
+  const sourceLabel = (r) => r.source === 'restore' ? `restore of r${r.restored_from}` : r.source;
+  const canEdit = hasRole(req.user, 'editor');
+
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>History - ${escapeHtml(snippet.title || filename)}</title>
+      <style>
+        body { font-family: monospace; background: #1e1e1e; color: #eee; padding: 2em; }
+        .container { max-width: 1200px; margin: 0 auto; }
+        a { color: #7ecfff; }
+        table { width: 100%; border-collapse: collapse; background: #252526; margin-bottom: 2em; }
+        th, td { padding: 0.5em 0.7em; border-bottom: 1px solid #333; text-align: left; vertical-align: top; }
+        th { background: #232323; }
+        tr.selected { background: #2d3a45; }
+        .compare { display: flex; gap: 1em; align-items: center; margin-bottom: 1em; }
+        select, button { padding: 0.4em 0.8em; background: #252526; color: #eee; border: 1px solid #333; border-radius: 4px; font-family: inherit; }
+        button { background: #007acc; color: #fff; border: none; cursor: pointer; }
+        table.diff { table-layout: fixed; font-size: 0.9em; }
+        table.diff td { padding: 0 0.5em; border: none; }
+        table.diff td.ln { width: 3em; color: #666; text-align: right; user-select: none; }
+        table.diff pre { margin: 0; white-space: pre-wrap; word-break: break-all; }
+        table.diff td.del { background: #4b1818; }
+        table.diff td.add { background: #1b4721; }
+        table.diff td.empty { background: #2a2a2a; }
+        .muted { color: #888; }
+      </style>
+    </head>
+    <body>
+      ${getNavigation('admin', req.user)}
+      <div class="container">
+        <h2>History: ${escapeHtml(snippet.title || filename)}</h2>
+        ${revisions.length ? `
+        <table>
+          <thead>
+            <tr><th>Revision</th><th>Date</th><th>Source</th><th>Title</th><th>Language</th><th>Actions</th></tr>
+          </thead>
+          <tbody>
+            ${revisions.map(r => `
+              <tr class="${r === to || r === from ? 'selected' : ''}">
+                <td>r${r.revision}${r === revisions[0] ? ' <span class="muted">(current)</span>' : ''}</td>
+                <td>${formatTimestamp(r.created_at)}</td>
+                <td>${escapeHtml(sourceLabel(r))}</td>
+                <td>${escapeHtml(r.title)}</td>
+                <td>${escapeHtml(r.language)}</td>
+                <td>
+                  ${r.revision > 1 ? `<a href="?id=${encodeURIComponent(snippet.id)}&from=${r.revision - 1}&to=${r.revision}">[diff]</a>` : ''}
+                  ${r === revisions[0] || !canEdit ? '' : `
+                  <form method="POST" action="/history/restore" style="display:inline;" onsubmit="return confirm('Restore r${r.revision}? This creates a new revision.');">
+                    <input type="hidden" name="_csrf" value="${req.csrfToken()}">
+                    <input type="hidden" name="id" value="${escapeHtml(snippet.id)}">
+                    <input type="hidden" name="revision" value="${r.revision}">
+                    <button type="submit">Restore</button>
+                  </form>`}
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        ` : '<p class="muted">No revisions recorded yet. A revision is saved on the next edit.</p>'}
+        ${from && to ? `
+        <form class="compare" method="GET" action="/history">
+          <input type="hidden" name="id" value="${escapeHtml(snippet.id)}">
+          <span>Compare</span>
+          <select name="from">${revisions.map(r => `<option value="${r.revision}"${r === from ? ' selected' : ''}>r${r.revision}</option>`).join('')}</select>
+          <span>with</span>
+          <select name="to">${revisions.map(r => `<option value="${r.revision}"${r === to ? ' selected' : ''}>r${r.revision}</option>`).join('')}</select>
+          <button type="submit">Show diff</button>
+        </form>
+        ${fieldChanges.length ? `
+        <table>
+          <thead><tr><th>Field</th><th>r${from.revision}</th><th>r${to.revision}</th></tr></thead>
+          <tbody>
+            ${fieldChanges.map(c => `<tr><td>${c.field}</td><td>${escapeHtml(c.before)}</td><td>${escapeHtml(c.after)}</td></tr>`).join('')}
+          </tbody>
+        </table>` : ''}
+        ${renderSideBySideDiff(from.code, to.code,
+          `r${from.revision} · ${formatTimestamp(from.created_at)}`,
+          `r${to.revision} · ${formatTimestamp(to.created_at)}`)}
+        ` : ''}
+        <p><a href="${snippetPath(snippet)}">View</a> | ${canEdit ? `<a href="/edit?id=${encodeURIComponent(snippet.id)}">Edit</a> | ` : ''}<a href="/admin">Back to Admin</a></p>
+      </div>
+      ${canEdit ? getQuickSnippetDialog(req.csrfToken()) : ''}
+    </body>
+    </html>
+  `);
 });
 
-// Add endpoint to get all snippets
-app.get('/api/snippets', requireApiKey, async (req, res) => {
+app.post('/history/restore', requireAuth, requireRole('editor'), csrfProtection, async (req, res) => {
+  const ref = snippetRef(req.body);
+  const revision = Number(req.body.revision);
+  if (!ref || !revision) return res.status(400).send('No snippet or revision specified');
   try {
-    const { rows } = await pool.query('SELECT * FROM snippets ORDER BY timestamp DESC');
-    res.json(rows);
+    const snippet = await findSnippet(ref);
+    if (!snippet) return res.status(404).send('Snippet not found');
+    const filename = snippet.filename;
+    const r = await storage.getRevision(filename, revision);
+    if (!r) return res.status(404).send('Revision not found');
+    const updated = await updateSnippet(filename, {
+      language: r.language,
+      code: r.code,
+      title: r.title,
+      description: r.description,
+      tags: r.tags
+    }, 'restore', revision);
+    await recordSnippetChange(req, 'snippet.update', snippet, updated, { restored_revision: revision });
+    res.redirect(`/history?id=${encodeURIComponent(snippet.id)}`);
   } catch (err) {
-    console.error('API Error:', err);
-    res.status(500).json({ 
-      error: 'Failed to fetch snippets',
-      details: err.message 
-    });
+    console.error('Restore error:', err);
+    res.status(500).send('Failed to restore revision');
   }
 });
 
-// Add endpoint to get a specific snippet
-app.get('/api/snippets/:filename', requireApiKey, async (req, res) => {
+app.post('/share', requireAuth, requireRole('editor'), csrfProtection, async (req, res) => {
+  const ref = snippetRef(req.body);
+  if (!ref) return res.status(400).json({ error: 'No snippet specified' });
+  const expiresInHours = req.body.expires_in ? parseInt(req.body.expires_in, 10) : null;
+  const maxViews = req.body.max_views ? parseInt(req.body.max_views, 10) : null;
+  if ((expiresInHours !== null && !(expiresInHours > 0)) || (maxViews !== null && !(maxViews > 0))) {
+    return res.status(400).json({ error: 'Expiry and view limit must be positive numbers' });
+  }
   try {
-    const { rows } = await pool.query('SELECT * FROM snippets WHERE filename = $1', [req.params.filename]);
-    if (!rows.length) {
-      return res.status(404).json({ error: 'Snippet not found' });
-    }
-    res.json(rows[0]);
-  } catch (err) {
-    console.error('API Error:', err);
-    res.status(500).json({ 
-      error: 'Failed to fetch snippet',
-      details: err.message 
+    const snippet = await findSnippet(ref);
+    if (!snippet) return res.status(404).json({ error: 'Snippet not found' });
+    const link = await createShareLink(snippet.filename, { expiresInHours, maxViews });
+    res.json({
+      success: true,
+      url: shareUrl(req, link.token),
+      raw_url: `${shareUrl(req, link.token)}/raw/${snippetFileName(snippet)}`,
+      expires_at: link.expires_at,
+      max_views: link.max_views
     });
+  } catch (err) {
+    console.error('Share error:', err);
+    res.status(500).json({ error: err.message });
   }
 });
 
-// Add endpoint to delete a snippet
-app.delete('/api/snippets/:filename', requireApiKey, async (req, res) => {
+app.post('/share/revoke', requireAuth, requireRole('editor'), csrfProtection, async (req, res) => {
+  const token = req.body.token;
+  if (!token) return res.status(400).json({ error: 'No token specified' });
   try {
-    const result = await pool.query('DELETE FROM snippets WHERE filename = $1', [req.params.filename]);
-    if (result.rowCount === 0) {
-      return res.status(404).json({ error: 'Snippet not found' });
-    }
-    res.json({ success: true, message: 'Snippet deleted successfully' });
+    if (!await storage.revokeShareLink(token)) return res.status(404).json({ error: 'Share link not found' });
+    res.json({ success: true, message: 'Share link revoked' });
   } catch (err) {
-    console.error('API Error:', err);
-    res.status(500).json({ 
-      error: 'Failed to delete snippet',
-      details: err.message 
-    });
+    console.error('Revoke error:', err);
+    res.status(500).json({ error: err.message });
   }
 });
 
-// Add API key generation utility
-function generateApiKey() {
-  return crypto.randomBytes(32).toString('hex');
-}
+// Public, read-only view of a shared snippet; no login required
+app.get('/share/:token', async (req, res) => {
+  const shared = await consumeShareLink(req.params.token);
+  if (!shared) return res.status(404).send('This link is invalid, expired or has been revoked.');
+  const { link, snippet } = shared;
+  const title = snippet.title || snippet.filename;
+  // Raw and Download count as views too, so after the last one they could only 404
+  const lastView = link.max_views && link.views >= link.max_views;
+  const meta = [
+    ...(lastView ? [] : [
+      `<a href="/share/${encodeURIComponent(link.token)}/raw/${snippetFileName(snippet)}">Raw</a>`,
+      `<a href="/share/${encodeURIComponent(link.token)}/raw/${snippetFileName(snippet)}?download=1">Download</a>`
+    ]),
+    link.expires_at && `Link expires ${formatTimestamp(link.expires_at)} UTC`,
+    link.max_views && `View ${link.views} of ${link.max_views}${lastView ? ' (last view)' : ''}`
+  ].filter(Boolean);
 
-// Add endpoint to generate API key
-app.get('/generate-api-key', requireAuth, (req, res) => {
-  const apiKey = generateApiKey();
+  res.set('X-Robots-Tag', 'noindex');
   res.send(`
     <!DOCTYPE html>
     <html>
     <head>
-      <title>Generate API Key</title>
+      <title>${escapeHtml(title)}</title>
+      <meta name="robots" content="noindex">
+      ${HLJS_STYLESHEET}
       <style>
         body { font-family: monospace; background: #1e1e1e; color: #eee; padding: 2em; }
-        .container { max-width: 800px; margin: 0 auto; }
-        .key-box { 
-          background: #252526; 
-          padding: 1em; 
-          border-radius: 4px; 
-          margin: 1em 0;
-          word-break: break-all;
-        }
-        .warning {
-          color: #ff5555;
-          margin: 1em 0;
-        }
-        button {
-          background: #007acc;
-          color: white;
-          border: none;
-          padding: 0.5em 1em;
-          border-radius: 4px;
-          cursor: pointer;
-          margin: 1em 0;
-        }
-        .copy-btn {
-          background: #333;
-          margin-left: 1em;
-        }
+        .container { max-width: 900px; margin: 0 auto; }
+        .snippet-window { background: #232323; border-radius: 8px; box-shadow: 0 4px 24px #000a; padding: 2em; }
+        h2 { margin-top: 0; }
+        a { color: #7ecfff; }
+        pre { margin: 0; border-radius: 4px; overflow-x: auto; }
+        pre code.hljs { padding: 1em; font-size: 15px; }
+        .meta { color: #aaa; font-size: 0.9em; }
+        .tag { display: inline-block; background: #333; color: #7ecfff; border-radius: 3px; padding: 0 0.4em; margin-right: 0.3em; }
+        ${MARKDOWN_STYLES}
       </style>
     </head>
     <body>
-      ${getNavigation('admin')}
       <div class="container">
-        <h2>Generate API Key</h2>
-        <div class="warning">
-          ⚠️ This key will only be shown once. Make sure to copy it now!
-        </div>
-        <div class="key-box">
-          <code id="api-key">${apiKey}</code>
-          <button class="copy-btn" onclick="copyApiKey()">Copy</button>
-        </div>
-        <p>To use this API key, set it in your environment variables:</p>
-        <div class="key-box">
-          <code>export API_KEY=${apiKey}</code>
-          <button class="copy-btn" onclick="copyEnvVar()">Copy</button>
-        </div>
-        <p>Or add it to your .env file:</p>
-        <div class="key-box">
-          <code>API_KEY=${apiKey}</code>
-          <button class="copy-btn" onclick="copyEnvFile()">Copy</button>
+        <div class="snippet-window">
+          <h2>${escapeHtml(title)}</h2>
+          ${snippet.description ? `<p>${escapeHtml(snippet.description)}</p>` : ''}
+          <p class="meta">
+            ${escapeHtml(snippet.language)}
+            ${snippet.tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('')}
+          </p>
+          ${snippet.language === 'markdown'
+            ? `<div class="markdown-body">${renderMarkdown(snippet.code)}</div>`
+            : `<pre><code class="hljs">${highlightCode(snippet.code, snippet.language)}</code></pre>`}
+          <p class="meta">${meta.join(' · ')}</p>
         </div>
-        <p><a href="/admin">Back to Admin</a></p>
       </div>
+    </body>
+    </html>
+  `);
+});
+
+// The optional trailing file name is ignored; it lets `curl -O` save under the right name
+app.get('/share/:token/raw{/:filename}', async (req, res) => {
+  const shared = await consumeShareLink(req.params.token);
+  if (!shared) return res.status(404).type('text/plain').send('Not found');
+  res.set('X-Robots-Tag', 'noindex');
+  sendSnippetFile(req, res, shared.snippet);
+});
+
+// Embeddable widget. Only snippets marked embeddable are served, without login,
+// as an HTML fragment (fetched by /embed.js) or a full page for iframes.
+const findEmbeddableSnippet = async (ref) => {
+  const snippet = await findSnippet(ref);
+  return snippet && snippet.embeddable ? snippet : null;
+};
+
+// Builds the widget from ?lines=, ?line_numbers=1 and ?copy=0; null if the range is invalid
+const renderEmbed = (req, snippet) => {
+  const options = {
+    snippet,
+    url: `${req.protocol}://${req.get('host')}${snippetPath(snippet)}`,
+    lineNumbers: req.query.line_numbers === '1',
+    copyButton: req.query.copy !== '0'
+  };
+  if (snippet.language === 'markdown') {
+    return renderEmbedFragment({ ...options, markdown: renderMarkdown(snippet.code) });
+  }
+  const lines = splitHighlightedLines(highlightCode(snippet.code, snippet.language));
+  const range = parseLineRange(req.query.lines, lines.length);
+  if (!range) return null;
+  return renderEmbedFragment({ ...options, lines: lines.slice(range.start - 1, range.end), start: range.start });
+};
+
+// The loader fetches fragments across origins
+const allowEmbedOrigin = (req, res) => {
+  const origin = req.get('origin');
+  if (EMBED_ORIGINS.includes('*')) {
+    res.set('Access-Control-Allow-Origin', '*');
+  } else if (origin && EMBED_ORIGINS.includes(origin)) {
+    res.set('Access-Control-Allow-Origin', origin);
+  }
+  res.vary('Origin');
+};
+
+const embedUrls = (req, snippet) => {
+  const origin = `${req.protocol}://${req.get('host')}`;
+  const ref = encodeURIComponent(snippet.slug || snippet.id);
+  return {
+    script: `<script src="${origin}/embed.js" data-snippet="${ref}" async></script>`,
+    iframe: `<iframe src="${origin}/embed/${ref}/frame" width="100%" height="300" style="border: 0"></iframe>`
+  };
+};
+
+app.get('/embed.js', (req, res) => {
+  res.type('application/javascript').send(EMBED_LOADER);
+});
+
+app.get('/embed/:ref', async (req, res) => {
+  const snippet = await findEmbeddableSnippet(req.params.ref);
+  allowEmbedOrigin(req, res);
+  if (!snippet) return res.status(404).type('text/plain').send('Snippet not found or not embeddable');
+  const fragment = renderEmbed(req, snippet);
+  if (!fragment) return res.status(400).type('text/plain').send('Invalid line range');
+  res.set('X-Robots-Tag', 'noindex');
+  res.type('html').send(fragment);
+});
+
+app.get('/embed/:ref/frame', async (req, res) => {
+  const snippet = await findEmbeddableSnippet(req.params.ref);
+  if (!snippet) return res.status(404).type('text/plain').send('Snippet not found or not embeddable');
+  const fragment = renderEmbed(req, snippet);
+  if (!fragment) return res.status(400).type('text/plain').send('Invalid line range');
+  res.set('X-Robots-Tag', 'noindex');
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>${escapeHtml(snippet.title || snippet.id)}</title>
+      <meta name="robots" content="noindex">
+      <style>body { margin: 0; }</style>
+    </head>
+    <body>
+      ${fragment}
       <script>
-        function copyApiKey() {
-          copyToClipboard(document.getElementById('api-key').textContent);
-        }
-        function copyEnvVar() {
-          copyToClipboard('export API_KEY=' + document.getElementById('api-key').textContent);
-        }
-        function copyEnvFile() {
-          copyToClipboard('API_KEY=' + document.getElementById('api-key').textContent);
-        }
-        function copyToClipboard(text) {
-          navigator.clipboard.writeText(text).then(() => {
-            alert('Copied to clipboard!');
-          }).catch(err => {
-            console.error('Failed to copy:', err);
-          });
-        }
+        ${BIND_COPY_BUTTONS}
+        bindCopyButtons(document);
       </script>
     </body>
     </html>
   `);
 });
+
+const USERNAME_PATTERN = /^[a-z0-9._-]{2,50}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+app.get('/admin/users', requireAuth, requireRole('admin'), csrfProtection, async (req, res) => {
+  const users = await storage.listUsers();
+  const message = req.query.error ? `<p class="error">${escapeHtml(req.query.error)}</p>` : '';
+  const roleOptions = (selected) => ROLES
+    .map(role => `<option value="${role}"${role === selected ? ' selected' : ''}>${role}</option>`)
+    .join('');
+
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Admin - Users</title>
+      <style>
+        body { font-family: monospace; background: #1e1e1e; color: #eee; padding: 2em; }
+        .container { max-width: 900px; margin: 0 auto; }
+        a { color: #7ecfff; }
+        table { width: 100%; border-collapse: collapse; background: #252526; margin-bottom: 2em; }
+        th, td { padding: 0.7em; border-bottom: 1px solid #333; text-align: left; }
+        th { background: #232323; }
+        input, select { padding: 0.4em; background: #1e1e1e; color: #eee; border: 1px solid #333; font-family: inherit; }
+        button { background: #007acc; color: #fff; border: none; border-radius: 4px; padding: 0.4em 0.9em; cursor: pointer; font-family: inherit; }
+        button.danger { background: #ff5555; }
+        form.inline { display: inline-flex; gap: 0.5em; align-items: center; margin: 0; }
+        .new-user { background: #252526; padding: 1em; border-radius: 6px; display: flex; gap: 0.7em; flex-wrap: wrap; align-items: center; }
+        .error { color: #ff5555; }
+        .muted { color: #888; }
+      </style>
+    </head>
+    <body>
+      ${getNavigation('users', req.user)}
+      <div class="container">
+        <h2>Users</h2>
+        ${message}
+        <p class="muted">Viewers can browse and search. Editors can also create, edit, share and delete snippets. Admins can also manage users and API keys.</p>
+        <table>
+          <thead>
+            <tr><th>Username</th><th>Role</th><th>Snippets</th><th>Created</th><th>Password</th><th></th></tr>
+          </thead>
+          <tbody>
+            ${users.map(u => `
+              <tr>
+                <td>${escapeHtml(u.username)}${u.id === req.user.id ? ' <span class="muted">(you)</span>' : ''}</td>
+                <td>
+                  <form class="inline" method="POST" action="/admin/users/${u.id}">
+                    <input type="hidden" name="_csrf" value="${req.csrfToken()}">
+                    <select name="role">${roleOptions(u.role)}</select>
+                    <button type="submit">Save</button>
+                  </form>
+                </td>
+                <td>${u.snippet_count}</td>
+                <td>${formatTimestamp(u.created_at)}</td>
+                <td>
+                  <form class="inline" method="POST" action="/admin/users/${u.id}">
+                    <input type="hidden" name="_csrf" value="${req.csrfToken()}">
+                    <input type="password" name="password" placeholder="New password" autocomplete="new-password">
+                    <button type="submit">Reset</button>
+                  </form>
+                </td>
+                <td>
+                  ${u.id === req.user.id ? '' : `
+                  <form class="inline" method="POST" action="/admin/users/${u.id}/delete" onsubmit="return confirm('Delete user ${escapeHtml(u.username)}? Their snippets are kept without an owner.');">
+                    <input type="hidden" name="_csrf" value="${req.csrfToken()}">
+                    <button type="submit" class="danger">Delete</button>
+                  </form>`}
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        <h3>Add user</h3>
+        <form class="new-user" method="POST" action="/admin/users">
+          <input type="hidden" name="_csrf" value="${req.csrfToken()}">
+          <input type="text" name="username" placeholder="Username" autocomplete="off" required>
+          <input type="password" name="password" placeholder="Password (min ${MIN_PASSWORD_LENGTH} chars)" autocomplete="new-password" required>
+          <select name="role">${roleOptions('viewer')}</select>
+          <button type="submit">Add user</button>
+        </form>
+        <p><a href="/admin">Back to Admin</a></p>
+      </div>
+    </body>
+    </html>
+  `);
+});
+
+const usersPageError = (res, message) => res.redirect(`/admin/users?error=${encodeURIComponent(message)}`);
+
+app.post('/admin/users', requireAuth, requireRole('admin'), csrfProtection, async (req, res) => {
+  const username = (req.body.username || '').trim().toLowerCase();
+  const password = req.body.password || '';
+  const role = req.body.role;
+  if (!USERNAME_PATTERN.test(username)) {
+    return usersPageError(res, 'Usernames are 2-50 characters: letters, digits, dot, dash or underscore');
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return usersPageError(res, `Passwords must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (!ROLES.includes(role)) return usersPageError(res, 'Unknown role');
+  try {
+    const user = await storage.createUser({ username, passwordHash: await bcrypt.hash(password, 10), role });
+    if (!user) return usersPageError(res, `User ${username} already exists`);
+    await recordAudit(req, 'user.create', { targetType: 'user', targetId: String(user.id), after: { username, role } });
+    res.redirect('/admin/users');
+  } catch (err) {
+    console.error('Create user error:', err);
+    res.status(500).send('Failed to create user');
+  }
+});
+
+// Changes the role and/or resets the password, whichever fields are present
+app.post('/admin/users/:id', requireAuth, requireRole('admin'), csrfProtection, async (req, res) => {
+  const id = Number(req.params.id);
+  const user = await storage.getUser(id);
+  if (!user) return res.status(404).send('User not found');
+
+  if (req.body.role !== undefined) {
+    if (!ROLES.includes(req.body.role)) return usersPageError(res, 'Unknown role');
+    if (user.role === 'admin' && req.body.role !== 'admin' && await storage.countAdmins() === 1) {
+      return usersPageError(res, 'Cannot demote the last admin');
+    }
+    await storage.updateUserRole(id, req.body.role);
+    await recordAudit(req, 'user.update', {
+      targetType: 'user',
+      targetId: String(id),
+      before: { username: user.username, role: user.role },
+      after: { username: user.username, role: req.body.role }
+    });
+  }
+  if (req.body.password !== undefined) {
+    if (req.body.password.length < MIN_PASSWORD_LENGTH) {
+      return usersPageError(res, `Passwords must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    await storage.updateUserPassword(id, await bcrypt.hash(req.body.password, 10));
+    await recordAudit(req, 'user.update', { targetType: 'user', targetId: String(id), details: { password_reset: true } });
+  }
+  res.redirect('/admin/users');
+});
+
+app.post('/admin/users/:id/delete', requireAuth, requireRole('admin'), csrfProtection, async (req, res) => {
+  const id = Number(req.params.id);
+  if (id === req.user.id) return usersPageError(res, 'You cannot delete your own account');
+  const user = await storage.getUser(id);
+  if (!user || !await storage.deleteUser(id)) return res.status(404).send('User not found');
+  await recordAudit(req, 'user.delete', { targetType: 'user', targetId: String(id), before: { username: user.username, role: user.role } });
+  res.redirect('/admin/users');
+});
+
+app.get('/admin/languages', requireAuth, requireRole('admin'), csrfProtection, (req, res) => {
+  const message = req.query.error ? `<p class="error">${escapeHtml(req.query.error)}</p>` : '';
+  const list = (values) => values.map(v => escapeHtml(v)).join(', ');
+
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Admin - Languages</title>
+      <style>
+        body { font-family: monospace; background: #1e1e1e; color: #eee; padding: 2em; }
+        .container { max-width: 1100px; margin: 0 auto; }
+        a { color: #7ecfff; }
+        table { width: 100%; border-collapse: collapse; background: #252526; margin-bottom: 2em; }
+        th, td { padding: 0.7em; border-bottom: 1px solid #333; text-align: left; }
+        th { background: #232323; }
+        input { padding: 0.4em; background: #1e1e1e; color: #eee; border: 1px solid #333; font-family: inherit; }
+        button { background: #007acc; color: #fff; border: none; border-radius: 4px; padding: 0.4em 0.9em; cursor: pointer; font-family: inherit; }
+        button.danger { background: #ff5555; }
+        form.inline { display: inline-flex; gap: 0.5em; align-items: center; margin: 0; }
+        .new-language { background: #252526; padding: 1em; border-radius: 6px; display: flex; gap: 0.7em; flex-wrap: wrap; align-items: center; }
+        .error { color: #ff5555; }
+        .muted { color: #888; }
+      </style>
+    </head>
+    <body>
+      ${getNavigation('languages', req.user)}
+      <div class="container">
+        <h2>Languages</h2>
+        ${message}
+        <p class="muted">Forms, the API and imports accept a language's id, name, aliases or extensions. Built-in languages cannot be changed; custom languages can be removed once no snippet uses them.</p>
+        <table>
+          <thead>
+            <tr><th>Id</th><th>Name</th><th>highlight.js</th><th>Monaco</th><th>Extensions</th><th>Aliases</th><th>MIME type</th><th></th></tr>
+          </thead>
+          <tbody>
+            ${languages.list().map(l => `
+              <tr>
+                <td>${escapeHtml(l.id)}</td>
+                <td>${escapeHtml(l.name)}</td>
+                <td>${l.hljs ? escapeHtml(l.hljs) : '<span class="muted">none</span>'}</td>
+                <td>${escapeHtml(l.monaco)}</td>
+                <td>${list(l.extensions)}</td>
+                <td>${list(l.aliases)}</td>
+                <td>${escapeHtml(l.mime)}</td>
+                <td>
+                  ${l.custom ? `
+                  <form class="inline" method="POST" action="/admin/languages/${encodeURIComponent(l.id)}/delete" onsubmit="return confirm('Delete language ${escapeHtml(l.name)}?');">
+                    <input type="hidden" name="_csrf" value="${req.csrfToken()}">
+                    <button type="submit" class="danger">Delete</button>
+                  </form>` : '<span class="muted">built-in</span>'}
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        <h3>Add language</h3>
+        <form class="new-language" method="POST" action="/admin/languages">
+          <input type="hidden" name="_csrf" value="${req.csrfToken()}">
+          <input type="text" name="id" placeholder="Id, e.g. yaml" autocomplete="off" required>
+          <input type="text" name="name" placeholder="Name, e.g. YAML" autocomplete="off" required>
+          <input type="text" name="hljs" placeholder="highlight.js language" autocomplete="off">
+          <input type="text" name="monaco" placeholder="Monaco language" autocomplete="off">
+          <input type="text" name="extensions" placeholder="Extensions: .yaml, .yml" autocomplete="off">
+          <input type="text" name="aliases" placeholder="Aliases: yml" autocomplete="off">
+          <input type="text" name="mime" placeholder="MIME type (text/plain)" autocomplete="off">
+          <button type="submit">Add language</button>
+        </form>
+        <p class="muted">Other server processes pick up added or removed languages when they restart.</p>
+        <p><a href="/admin">Back to Admin</a></p>
+      </div>
+    </body>
+    </html>
+  `);
+});
+
+const languagesPageError = (res, message) => res.redirect(`/admin/languages?error=${encodeURIComponent(message)}`);
+
+app.post('/admin/languages', requireAuth, requireRole('admin'), csrfProtection, async (req, res) => {
+  const { language, error } = languages.validateCustomLanguage(req.body);
+  if (error) return languagesPageError(res, error);
+  try {
+    const created = await storage.createCustomLanguage({ ...language, createdBy: req.user.id });
+    if (!created) return languagesPageError(res, `Language ${language.id} already exists`);
+    await loadCustomLanguages();
+    res.redirect('/admin/languages');
+  } catch (err) {
+    console.error('Create language error:', err);
+    res.status(500).send('Failed to create language');
+  }
+});
+
+app.post('/admin/languages/:id/delete', requireAuth, requireRole('admin'), csrfProtection, async (req, res) => {
+  const language = languages.list().find(l => l.id === req.params.id);
+  if (!language?.custom) return res.status(404).send('Language not found');
+  // Trashed snippets count too: restored, they would carry an unregistered language
+  const { total } = await storage.querySnippets({ language: language.id, groups: [] }, { page: 1, perPage: 1 });
+  const trashed = (await storage.listTrash()).filter(snippet => snippet.language === language.id).length;
+  if (total || trashed) {
+    return languagesPageError(res, `${language.name} is still used by ${total + trashed} snippet(s)${trashed ? `, ${trashed} of them in the trash` : ''}`);
+  }
+  await storage.deleteCustomLanguage(language.id);
+  await loadCustomLanguages();
+  res.redirect('/admin/languages');
+});
+
+app.get('/admin/secrets', requireAuth, requireRole('admin'), csrfProtection, async (req, res) => {
+  const flagged = await storage.listFlaggedSnippets();
+
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Admin - Secrets</title>
+      <style>
+        body { font-family: monospace; background: #1e1e1e; color: #eee; padding: 2em; }
+        .container { max-width: 1100px; margin: 0 auto; }
+        a { color: #7ecfff; }
+        table { width: 100%; border-collapse: collapse; background: #252526; margin-bottom: 2em; }
+        th, td { padding: 0.7em; border-bottom: 1px solid #333; text-align: left; vertical-align: top; }
+        th { background: #232323; }
+        ul { margin: 0; padding-left: 1.2em; }
+        button { background: #007acc; color: #fff; border: none; border-radius: 4px; padding: 0.4em 0.9em; cursor: pointer; font-family: inherit; }
+        button.danger { background: #ff5555; }
+        form.inline { display: inline-flex; gap: 0.5em; align-items: center; margin: 0 0 0.4em; }
+        .muted { color: #888; }
+      </style>
+    </head>
+    <body>
+      ${getNavigation('secrets', req.user)}
+      <div class="container">
+        <h2>Secrets</h2>
+        <p class="muted">Snippets whose code looks like it contains credentials. Scan mode: <strong>${SECRET_SCAN}</strong> (set with SECRET_SCAN).
+        Dismiss false positives, or redact the credentials from the current version. Earlier revisions in the history keep the original text.</p>
+        ${flagged.length ? `
+        <table>
+          <thead>
+            <tr><th>Snippet</th><th>Owner</th><th>Findings</th><th>Saved</th><th></th></tr>
+          </thead>
+          <tbody>
+            ${flagged.map(s => `
+              <tr>
+                <td><a href="${snippetPath(s)}">${escapeHtml(s.title || s.id)}</a></td>
+                <td>${s.owner ? escapeHtml(s.owner) : '<span class="muted">none</span>'}</td>
+                <td><ul>${s.secret_findings.map(f => `<li>${escapeHtml(f.label)}, line ${f.line}: <code>${escapeHtml(f.preview)}</code>${f.redacted ? ' <span class="muted">(redacted)</span>' : ''}</li>`).join('')}</ul></td>
+                <td>${formatTimestamp(s.timestamp)}</td>
+                <td>
+                  <form class="inline" method="POST" action="/admin/secrets/${encodeURIComponent(s.id)}/review">
+                    <input type="hidden" name="_csrf" value="${req.csrfToken()}">
+                    <button type="submit">${s.secret_findings.every(f => f.redacted) ? 'Done' : 'Dismiss'}</button>
+                  </form>
+                  ${s.secret_findings.every(f => f.redacted) ? '' : `
+                  <form class="inline" method="POST" action="/admin/secrets/${encodeURIComponent(s.id)}/redact" onsubmit="return confirm('Redact the credentials from this snippet?');">
+                    <input type="hidden" name="_csrf" value="${req.csrfToken()}">
+                    <button type="submit" class="danger">Redact</button>
+                  </form>`}
+                  <a href="/edit?id=${encodeURIComponent(s.id)}">edit</a>
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>` : '<p>Nothing to review.</p>'}
+        <p><a href="/admin">Back to Admin</a></p>
+      </div>
+    </body>
+    </html>
+  `);
+});
+
+// Marks a snippet's findings as reviewed; they come back if its code changes
+app.post('/admin/secrets/:id/review', requireAuth, requireRole('admin'), csrfProtection, async (req, res) => {
+  const snippet = await findSnippet(req.params.id);
+  if (!snippet || !await storage.markSecretsReviewed(snippet.filename, req.user.id)) {
+    return res.status(404).send('Snippet not found');
+  }
+  await recordAudit(req, 'snippet.secrets_reviewed', {
+    targetType: 'snippet',
+    targetId: snippet.id,
+    details: { findings: snippet.secret_findings }
+  });
+  res.redirect('/admin/secrets');
+});
+
+app.post('/admin/secrets/:id/redact', requireAuth, requireRole('admin'), csrfProtection, async (req, res) => {
+  const snippet = await findSnippet(req.params.id);
+  if (!snippet) return res.status(404).send('Snippet not found');
+  try {
+    const { code, findings } = redactSecrets(snippet.code);
+    const updated = await updateSnippet(snippet.filename, { code, secretFindings: findings }, 'redact');
+    await storage.markSecretsReviewed(snippet.filename, req.user.id);
+    await recordSnippetChange(req, 'snippet.update', snippet, updated, { redacted: findings });
+    res.redirect('/admin/secrets');
+  } catch (err) {
+    console.error('Redact error:', err);
+    res.status(500).send('Failed to redact snippet');
+  }
+});
+
+// Deleted snippets stay in the trash for TRASH_RETENTION_DAYS (30 by default)
+// before they are purged; 0 keeps them until an admin deletes them.
+const TRASH_RETENTION_DAYS = (() => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return Number.isNaN(days) ? 30 : Math.max(0, days);
+})();
+
+// When a snippet deleted at the given time will be purged, or null if never
+const trashPurgeDate = (deletedAt) => (TRASH_RETENTION_DAYS
+  ? new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+  : null);
+
+// Each purged snippet is audited like a manual purge, as the system, so the log
+// keeps what was destroyed
+const purgeExpiredTrash = async () => {
+  if (!TRASH_RETENTION_DAYS) return;
+  const cutoff = Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const expired = (await storage.listTrash()).filter(snippet => new Date(snippet.deleted_at).getTime() < cutoff);
+  for (const snippet of expired) await purgeSnippet(null, snippet, { retention_days: TRASH_RETENTION_DAYS });
+  if (expired.length) console.log(`Purged ${expired.length} snippet(s) from the trash`);
+};
+
+app.get('/admin/trash', requireAuth, requireRole('admin'), csrfProtection, async (req, res) => {
+  const trash = await storage.listTrash();
+
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Admin - Trash</title>
+      <style>
+        body { font-family: monospace; background: #1e1e1e; color: #eee; padding: 2em; }
+        .container { max-width: 1100px; margin: 0 auto; }
+        a { color: #7ecfff; }
+        table { width: 100%; border-collapse: collapse; background: #252526; margin-bottom: 2em; }
+        th, td { padding: 0.7em; border-bottom: 1px solid #333; text-align: left; }
+        th { background: #232323; }
+        button { background: #007acc; color: #fff; border: none; border-radius: 4px; padding: 0.4em 0.9em; cursor: pointer; font-family: inherit; }
+        button.danger { background: #ff5555; }
+        form.inline { display: inline-flex; gap: 0.5em; align-items: center; margin: 0; }
+        .muted { color: #888; }
+      </style>
+    </head>
+    <body>
+      ${getNavigation('trash', req.user)}
+      <div class="container">
+        <h2>Trash</h2>
+        <p class="muted">${TRASH_RETENTION_DAYS
+          ? `Deleted snippets are purged ${TRASH_RETENTION_DAYS} day(s) after they were deleted (TRASH_RETENTION_DAYS).`
+          : 'Deleted snippets are kept until they are deleted here (TRASH_RETENTION_DAYS=0).'}
+        Restoring brings back the snippet with its history, slug and share links.</p>
+        ${trash.length ? `
+        <table>
+          <thead>
+            <tr><th>Snippet</th><th>Language</th><th>Owner</th><th>Deleted</th><th>By</th><th>Purged</th><th></th></tr>
+          </thead>
+          <tbody>
+            ${trash.map(s => `
+              <tr>
+                <td>${escapeHtml(s.title || s.id)}${s.slug ? ` <span class="muted">(${escapeHtml(s.slug)})</span>` : ''}</td>
+                <td>${escapeHtml(s.language)}</td>
+                <td>${s.owner ? escapeHtml(s.owner) : '<span class="muted">none</span>'}</td>
+                <td>${formatTimestamp(s.deleted_at)}</td>
+                <td>${s.deleted_by ? escapeHtml(s.deleted_by) : '<span class="muted">unknown</span>'}</td>
+                <td>${TRASH_RETENTION_DAYS ? formatTimestamp(trashPurgeDate(s.deleted_at)) : '<span class="muted">never</span>'}</td>
+                <td>
+                  <form class="inline" method="POST" action="/admin/trash/${encodeURIComponent(s.id)}/restore">
+                    <input type="hidden" name="_csrf" value="${req.csrfToken()}">
+                    <button type="submit">Restore</button>
+                  </form>
+                  <form class="inline" method="POST" action="/admin/trash/${encodeURIComponent(s.id)}/delete" onsubmit="return confirm('Permanently delete this snippet and its history? This cannot be undone.');">
+                    <input type="hidden" name="_csrf" value="${req.csrfToken()}">
+                    <button type="submit" class="danger">Delete permanently</button>
+                  </form>
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        <form method="POST" action="/admin/trash/empty" onsubmit="return confirm('Permanently delete all ${trash.length} snippet(s) in the trash? This cannot be undone.');">
+          <input type="hidden" name="_csrf" value="${req.csrfToken()}">
+          <button type="submit" class="danger">Empty trash</button>
+        </form>` : '<p>The trash is empty.</p>'}
+        <p><a href="/admin">Back to Admin</a></p>
+      </div>
+    </body>
+    </html>
+  `);
+});
+
+app.post('/admin/trash/empty', requireAuth, requireRole('admin'), csrfProtection, async (req, res) => {
+  for (const snippet of await storage.listTrash()) await purgeSnippet(req, snippet);
+  res.redirect('/admin/trash');
+});
+
+app.post('/admin/trash/:id/restore', requireAuth, requireRole('admin'), csrfProtection, async (req, res) => {
+  const snippet = await storage.findTrashedSnippet(req.params.id);
+  if (!snippet) return res.status(404).send('Snippet not found in the trash');
+  await storage.restoreSnippet(snippet.filename);
+  await recordSnippetChange(req, 'snippet.restore', null, await storage.getSnippet(snippet.filename));
+  res.redirect('/admin/trash');
+});
+
+app.post('/admin/trash/:id/delete', requireAuth, requireRole('admin'), csrfProtection, async (req, res) => {
+  const snippet = await storage.findTrashedSnippet(req.params.id);
+  if (!snippet) return res.status(404).send('Snippet not found in the trash');
+  await purgeSnippet(req, snippet);
+  res.redirect('/admin/trash');
+});
+
+const AUDIT_PAGE_SIZE = 50;
+
+// Audit filters from the query string, shared by the page and the export.
+// Returns { error } for dates that do not parse.
+const auditFilters = (query) => {
+  const filters = {
+    action: String(query.action || '').trim(),
+    actor: String(query.actor || '').trim(),
+    targetId: String(query.target || '').trim(),
+    ip: String(query.ip || '').trim(),
+    from: parseDateParam(query.from),
+    to: parseDateParam(query.to, true)
+  };
+  if (filters.from === undefined || filters.to === undefined) return { error: 'Dates must look like 2024-01-31' };
+  return { filters };
+};
+
+// Names of the fields that differ between a before and after state
+const changedFields = (before, after) => {
+  if (!before || !after) return [];
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+};
+
+const describeAuditActor = (entry) => {
+  if (entry.actor_type === 'api_key') return `API key ${escapeHtml(entry.actor)}`;
+  if (entry.actor_type === 'anonymous') return '<span class="muted">anonymous</span>';
+  return escapeHtml(entry.actor);
+};
+
+app.get('/admin/audit', requireAuth, requireRole('admin'), async (req, res) => {
+  const { filters, error } = auditFilters(req.query);
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const { total, rows } = error
+    ? { total: 0, rows: [] }
+    : await storage.queryAuditLog(filters, { page, perPage: AUDIT_PAGE_SIZE });
+  const pages = Math.max(1, Math.ceil(total / AUDIT_PAGE_SIZE));
+  const query = (overrides) => {
+    const params = new URLSearchParams(Object.entries(req.query).filter(([, value]) => typeof value === 'string' && value));
+    Object.entries(overrides).forEach(([key, value]) => params.set(key, value));
+    return params.toString();
+  };
+  const json = (value) => escapeHtml(JSON.stringify(value, null, 2));
+
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Admin - Audit Log</title>
+      <style>
+        body { font-family: monospace; background: #1e1e1e; color: #eee; padding: 2em; }
+        .container { max-width: 1300px; margin: 0 auto; }
+        a { color: #7ecfff; }
+        table { width: 100%; border-collapse: collapse; background: #252526; margin-bottom: 2em; }
+        th, td { padding: 0.7em; border-bottom: 1px solid #333; text-align: left; vertical-align: top; }
+        th { background: #232323; }
+        input, select { background: #252526; color: #eee; border: 1px solid #444; border-radius: 4px; padding: 0.4em; font-family: inherit; }
+        button { background: #007acc; color: #fff; border: none; border-radius: 4px; padding: 0.4em 0.9em; cursor: pointer; font-family: inherit; }
+        form.filters { display: flex; flex-wrap: wrap; gap: 0.5em; align-items: center; margin-bottom: 1.5em; }
+        pre { white-space: pre-wrap; word-break: break-all; max-height: 20em; overflow: auto; background: #1e1e1e; padding: 0.5em; }
+        .error { color: #ff5555; }
+        .muted { color: #888; }
+      </style>
+    </head>
+    <body>
+      ${getNavigation('audit', req.user)}
+      <div class="container">
+        <h2>Audit Log</h2>
+        <form class="filters" method="GET" action="/admin/audit">
+          <select name="action">
+            <option value="">All actions</option>
+            ${['snippet', 'api_key', 'webhook', 'user', ...AUDIT_ACTIONS].map(a => `
+              <option value="${a}" ${filters?.action === a ? 'selected' : ''}>${AUDIT_ACTIONS.includes(a) ? a : `${a}.*`}</option>
+            `).join('')}
+          </select>
+          <input type="text" name="actor" placeholder="User or key label" value="${escapeHtml(req.query.actor || '')}">
+          <input type="text" name="target" placeholder="Target id" value="${escapeHtml(req.query.target || '')}">
+          <input type="text" name="ip" placeholder="IP" value="${escapeHtml(req.query.ip || '')}">
+          <input type="date" name="from" value="${escapeHtml(req.query.from || '')}" title="From">
+          <input type="date" name="to" value="${escapeHtml(req.query.to || '')}" title="To">
+          <button type="submit">Filter</button>
+          <a href="/admin/audit">Clear</a>
+          <a href="/admin/audit/export?${query({})}">Export JSON</a>
+        </form>
+        ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+        <p class="muted">${total} entr${total === 1 ? 'y' : 'ies'}</p>
+        ${rows.length ? `
+        <table>
+          <thead>
+            <tr><th>When</th><th>Action</th><th>Actor</th><th>IP</th><th>Target</th><th>Change</th></tr>
+          </thead>
+          <tbody>
+            ${rows.map(entry => {
+              const changed = changedFields(entry.before, entry.after);
+              return `
+              <tr>
+                <td>${formatTimestamp(entry.created_at)}</td>
+                <td>${escapeHtml(entry.action)}</td>
+                <td>${describeAuditActor(entry)}</td>
+                <td>${escapeHtml(entry.ip || '')}</td>
+                <td>${entry.target_id ? `${escapeHtml(entry.target_type)} ${entry.target_type === 'snippet'
+                  ? `<a href="/admin/audit?${query({ target: entry.target_id, page: 1 })}">${escapeHtml(entry.target_id)}</a>`
+                  : escapeHtml(entry.target_id)}` : ''}</td>
+                <td>
+                  ${changed.length ? `<div>Changed: ${changed.map(escapeHtml).join(', ')}</div>` : ''}
+                  ${entry.before || entry.after || entry.details ? `
+                  <details>
+                    <summary>Details</summary>
+                    ${entry.before ? `<div class="muted">Before</div><pre>${json(entry.before)}</pre>` : ''}
+                    ${entry.after ? `<div class="muted">After</div><pre>${json(entry.after)}</pre>` : ''}
+                    ${entry.details ? `<div class="muted">Details</div><pre>${json(entry.details)}</pre>` : ''}
+                  </details>` : ''}
+                </td>
+              </tr>
+            `;
+            }).join('')}
+          </tbody>
+        </table>
+        <p>
+          ${page > 1 ? `<a href="/admin/audit?${query({ page: page - 1 })}">&larr; Newer</a>` : ''}
+          <span class="muted">Page ${page} of ${pages}</span>
+          ${page < pages ? `<a href="/admin/audit?${query({ page: page + 1 })}">Older &rarr;</a>` : ''}
+        </p>` : '<p>No audit entries match.</p>'}
+        <p><a href="/admin">Back to Admin</a></p>
+      </div>
+    </body>
+    </html>
+  `);
+});
+
+// The whole filtered log as one JSON download, newest first like the page
+app.get('/admin/audit/export', requireAuth, requireRole('admin'), async (req, res) => {
+  const { filters, error } = auditFilters(req.query);
+  if (error) return res.status(400).json({ error });
+  const entries = [];
+  for (let page = 1; ; page++) {
+    const { rows } = await storage.queryAuditLog(filters, { page, perPage: 500 });
+    entries.push(...rows);
+    if (rows.length < 500) break;
+  }
+  res.attachment('audit-log.json');
+  res.json({ exported_at: new Date().toISOString(), filters, entries });
+});
+
+const WEBHOOK_DELIVERIES_SHOWN = 50;
+
+// Delivery attempts older than this are pruned with the hourly trash purge
+const WEBHOOK_DELIVERY_RETENTION_DAYS = 30;
+
+const webhooksPageError = (res, message) => res.redirect(`/admin/webhooks?error=${encodeURIComponent(message)}`);
+
+const findWebhook = async (id) => (await storage.listWebhooks()).find(w => w.id === Number(id));
+
+const describeDelivery = (d) => {
+  if (!d.error) return `<span class="ok">${d.status_code}</span>`;
+  const retry = d.next_attempt_at ? ` <span class="muted">retry ${formatTimestamp(d.next_attempt_at)}</span>` : '';
+  return `<span class="error">${escapeHtml(d.error)}</span>${retry}`;
+};
+
+app.get('/admin/webhooks', requireAuth, requireRole('admin'), csrfProtection, async (req, res) => {
+  const hooks = await storage.listWebhooks();
+  const deliveries = await storage.listWebhookDeliveries(WEBHOOK_DELIVERIES_SHOWN);
+  const message = req.query.error ? `<p class="error">${escapeHtml(req.query.error)}</p>` : '';
+
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Admin - Webhooks</title>
+      <style>
+        body { font-family: monospace; background: #1e1e1e; color: #eee; padding: 2em; }
+        .container { max-width: 1200px; margin: 0 auto; }
+        a { color: #7ecfff; }
+        table { width: 100%; border-collapse: collapse; background: #252526; margin-bottom: 2em; }
+        th, td { padding: 0.7em; border-bottom: 1px solid #333; text-align: left; vertical-align: top; }
+        th { background: #232323; }
+        tr.inactive td { color: #777; }
+        input { padding: 0.4em; background: #1e1e1e; color: #eee; border: 1px solid #333; font-family: inherit; }
+        button { background: #007acc; color: #fff; border: none; border-radius: 4px; padding: 0.4em 0.9em; cursor: pointer; font-family: inherit; }
+        button.danger { background: #ff5555; }
+        form.inline { display: inline-flex; gap: 0.5em; align-items: center; margin: 0; }
+        .new-webhook { background: #252526; padding: 1em; border-radius: 6px; display: flex; gap: 1em; flex-wrap: wrap; align-items: center; }
+        .url { word-break: break-all; }
+        .ok { color: #50fa7b; }
+        .error { color: #ff5555; }
+        .muted { color: #888; }
+      </style>
+    </head>
+    <body>
+      ${getNavigation('webhooks', req.user)}
+      <div class="container">
+        <h2>Webhooks</h2>
+        ${message}
+        <p class="muted">Each event is POSTed as JSON with an <code>X-Snippet-Signature-256</code> header: the HMAC-SHA256 of the body with the webhook's secret. Failed deliveries are retried with increasing delays for about two and a half hours.</p>
+        <table>
+          <thead>
+            <tr><th>URL</th><th>Events</th><th>Secret</th><th>Created</th><th></th></tr>
+          </thead>
+          <tbody>
+            ${hooks.length ? hooks.map(w => `
+              <tr class="${w.active ? '' : 'inactive'}">
+                <td class="url">${escapeHtml(w.url)}${w.active ? '' : ' (disabled)'}</td>
+                <td>${w.events.join('<br>')}</td>
+                <td><details><summary>Show</summary><code>${escapeHtml(w.secret)}</code></details></td>
+                <td>${formatTimestamp(w.created_at)}${w.created_by_username ? ` by ${escapeHtml(w.created_by_username)}` : ''}</td>
+                <td>
+                  <form class="inline" method="POST" action="/admin/webhooks/${w.id}/ping">
+                    <input type="hidden" name="_csrf" value="${req.csrfToken()}">
+                    <button type="submit">Ping</button>
+                  </form>
+                  <form class="inline" method="POST" action="/admin/webhooks/${w.id}/active">
+                    <input type="hidden" name="_csrf" value="${req.csrfToken()}">
+                    <input type="hidden" name="active" value="${w.active ? 'false' : 'true'}">
+                    <button type="submit">${w.active ? 'Disable' : 'Enable'}</button>
+                  </form>
+                  <form class="inline" method="POST" action="/admin/webhooks/${w.id}/delete" onsubmit="return confirm('Delete this webhook and its delivery history?');">
+                    <input type="hidden" name="_csrf" value="${req.csrfToken()}">
+                    <button type="submit" class="danger">Delete</button>
+                  </form>
+                </td>
+              </tr>
+            `).join('') : '<tr><td colspan="5" class="muted">No webhooks yet.</td></tr>'}
+          </tbody>
+        </table>
+        <h3>Add a webhook</h3>
+        <form class="new-webhook" method="POST" action="/admin/webhooks">
+          <input type="hidden" name="_csrf" value="${req.csrfToken()}">
+          <input type="url" name="url" placeholder="https://example.com/hooks/snippets" size="40" required>
+          <input type="text" name="secret" placeholder="Secret (generated if empty)">
+          ${WEBHOOK_EVENTS.map(event => `
+            <label><input type="checkbox" name="events" value="${event}" checked> ${event}</label>
+          `).join('')}
+          <button type="submit">Add</button>
+        </form>
+        <h3>Recent deliveries</h3>
+        ${deliveries.length ? `
+        <table>
+          <thead>
+            <tr><th>When</th><th>URL</th><th>Event</th><th>Snippet</th><th>Attempt</th><th>Result</th><th>Time</th></tr>
+          </thead>
+          <tbody>
+            ${deliveries.map(d => `
+              <tr>
+                <td>${formatTimestamp(d.created_at)}</td>
+                <td class="url">${escapeHtml(d.url)}</td>
+                <td>${escapeHtml(d.event)}</td>
+                <td>${d.snippet_id ? escapeHtml(d.snippet_id) : ''}</td>
+                <td title="${escapeHtml(d.delivery_id)}">${d.attempt}</td>
+                <td>${describeDelivery(d)}</td>
+                <td>${d.duration_ms} ms</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>` : '<p class="muted">Nothing delivered yet.</p>'}
+        <p><a href="/admin">Back to Admin</a></p>
+      </div>
+    </body>
+    </html>
+  `);
+});
+
+app.post('/admin/webhooks', requireAuth, requireRole('admin'), csrfProtection, async (req, res) => {
+  const url = (req.body.url || '').trim();
+  const secret = (req.body.secret || '').trim() || generateWebhookSecret();
+  const events = [].concat(req.body.events || []).filter(event => WEBHOOK_EVENTS.includes(event));
+  if (!isWebhookUrl(url)) return webhooksPageError(res, 'Webhook URLs must start with http:// or https://');
+  if (!events.length) return webhooksPageError(res, 'Pick at least one event');
+
+  const webhook = await storage.createWebhook({ url, secret, events, createdBy: req.user.id });
+  await recordAudit(req, 'webhook.create', { targetType: 'webhook', targetId: String(webhook.id), after: { url, events } });
+  res.redirect('/admin/webhooks');
+});
+
+// Waits for the ping so the result is in the deliveries list on redirect
+app.post('/admin/webhooks/:id/ping', requireAuth, requireRole('admin'), csrfProtection, async (req, res) => {
+  const webhook = await findWebhook(req.params.id);
+  if (!webhook) return res.status(404).send('Webhook not found');
+  await webhooks.ping(webhook);
+  res.redirect('/admin/webhooks');
+});
+
+app.post('/admin/webhooks/:id/active', requireAuth, requireRole('admin'), csrfProtection, async (req, res) => {
+  const webhook = await findWebhook(req.params.id);
+  if (!webhook) return res.status(404).send('Webhook not found');
+  const active = req.body.active === 'true';
+  await storage.setWebhookActive(webhook.id, active);
+  await recordAudit(req, 'webhook.update', {
+    targetType: 'webhook',
+    targetId: String(webhook.id),
+    before: { url: webhook.url, active: webhook.active },
+    after: { url: webhook.url, active }
+  });
+  res.redirect('/admin/webhooks');
+});
+
+app.post('/admin/webhooks/:id/delete', requireAuth, requireRole('admin'), csrfProtection, async (req, res) => {
+  const webhook = await findWebhook(req.params.id);
+  if (!webhook || !await storage.deleteWebhook(webhook.id)) return res.status(404).send('Webhook not found');
+  await recordAudit(req, 'webhook.delete', {
+    targetType: 'webhook',
+    targetId: String(webhook.id),
+    before: { url: webhook.url, events: webhook.events }
+  });
+  res.redirect('/admin/webhooks');
+});
+
+app.get('/admin/import', requireAuth, requireRole('admin'), csrfProtection, (req, res) => {
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Admin - Import</title>
+      <style>
+        body { font-family: monospace; background: #1e1e1e; color: #eee; padding: 2em; }
+        .container { max-width: 900px; margin: 0 auto; }
+        a { color: #7ecfff; }
+        table { width: 100%; border-collapse: collapse; background: #252526; margin-bottom: 2em; }
+        th, td { padding: 0.7em; border-bottom: 1px solid #333; text-align: left; }
+        th { background: #232323; }
+        input { padding: 0.4em; background: #1e1e1e; color: #eee; border: 1px solid #333; font-family: inherit; }
+        button { background: #007acc; color: #fff; border: none; border-radius: 4px; padding: 0.4em 0.9em; cursor: pointer; font-family: inherit; }
+        button:disabled { opacity: 0.5; cursor: default; }
+        .panel { background: #252526; padding: 1em; border-radius: 6px; display: flex; gap: 0.7em; flex-wrap: wrap; align-items: center; margin-bottom: 1em; }
+        .imported { color: #50fa7b; }
+        .overwritten { color: #f1fa8c; }
+        .skipped { color: #888; }
+        .failed { color: #ff5555; }
+        .muted { color: #888; }
+      </style>
+    </head>
+    <body>
+      ${getNavigation('import', req.user)}
+      <div class="container">
+        <h2>Import legacy snippets</h2>
+        <p class="muted">Reads the files older versions wrote: Markdown with a <code># Snippet</code> header and a fenced code block, and JSON with <code>language</code>, <code>code</code> and <code>timestamp</code>. Original timestamps are kept, and files that are already in the database are skipped, so an import can safely be run again.</p>
+        <input type="hidden" id="csrf" value="${req.csrfToken()}">
+        <h3>Upload files</h3>
+        <div class="panel">
+          <input type="file" id="import-files" accept=".md,.json" multiple>
+          <button type="button" id="upload-import">Import files</button>
+        </div>
+        <h3>Server directory</h3>
+        <div class="panel">
+          <span>Import every .md and .json file in <code>${escapeHtml(snippetsDir)}</code></span>
+          <button type="button" id="directory-import">Import directory</button>
+        </div>
+        <h2>Import an export</h2>
+        <p class="muted">Restores a JSON Lines, tar.gz or zip file downloaded from the Export links in the admin table or <code>GET /api/snippets/export</code>, from this server or another one. Snippets keep their ids, timestamps and slugs where those are free.</p>
+        <p class="muted">Also takes VS Code <code>.code-snippets</code> files and JetBrains live template XML. Their scopes or contexts become languages, and their prefixes become slugs and are matched against existing ids and slugs.</p>
+        <div class="panel">
+          <input type="file" id="export-file" accept=".jsonl,.ndjson,.gz,.tgz,.tar,.zip,.code-snippets,.json,.xml">
+          <label for="export-language">Language for editor snippets without a known scope:</label>
+          <select id="export-language">${languageOptions()}</select>
+          <label for="export-conflict">When the id or prefix exists:</label>
+          <select id="export-conflict">
+            <option value="skip">Skip the entry</option>
+            <option value="overwrite">Overwrite the snippet</option>
+            <option value="duplicate">Import a copy with a new id</option>
+          </select>
+          <button type="button" id="export-import">Import export</button>
+        </div>
+        <div id="import-report"></div>
+        <p><a href="/admin">Back to Admin</a></p>
+      </div>
+      <script>
+        const escapeHtml = (value) => String(value).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+        const buttons = document.querySelectorAll('button');
+
+        // Legacy imports post JSON; export files are sent as they are
+        async function runImport(body, url = '/admin/import') {
+          buttons.forEach(b => { b.disabled = true; });
+          const report = document.getElementById('import-report');
+          report.innerHTML = '<p class="muted">Importing...</p>';
+          try {
+            const raw = body instanceof Blob;
+            const res = await fetch(url, {
+              method: 'POST',
+              headers: raw
+                ? { 'Content-Type': 'application/octet-stream', 'Accept': 'application/json', 'CSRF-Token': document.getElementById('csrf').value }
+                : { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+              body: raw ? body : JSON.stringify({ ...body, _csrf: document.getElementById('csrf').value }),
+              credentials: 'same-origin'
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.details || data.error || 'Import failed');
+            const snippetLink = r => '<a href="/s/' + encodeURIComponent(r.id) + '">' + escapeHtml(r.id) + '</a> ' + escapeHtml(r.language) +
+              (r.duplicate_of ? ' (copy of ' + escapeHtml(r.duplicate_of) + ')' : '') + (r.note ? ' <span class="muted">' + escapeHtml(r.note) + '</span>' : '');
+            const overwritten = data.overwritten || [];
+            const rows = [
+              ...data.imported.map(r => ['imported', r.file, snippetLink(r)]),
+              ...overwritten.map(r => ['overwritten', r.file, snippetLink(r)]),
+              ...data.skipped.map(r => ['skipped', r.file, escapeHtml(r.reason)]),
+              ...data.failed.map(r => ['failed', r.file, escapeHtml(r.error)])
+            ];
+            report.innerHTML = '<h3>Report</h3><p>Imported ' + data.imported.length + (overwritten.length ? ', overwrote ' + overwritten.length : '') +
+              ', skipped ' + data.skipped.length + ', failed ' + data.failed.length + '</p>' +
+              (rows.length ? '<table><thead><tr><th>Result</th><th>File</th><th>Details</th></tr></thead><tbody>' +
+              rows.map(([status, file, details]) => '<tr><td class="' + status + '">' + status + '</td><td>' + escapeHtml(file) + '</td><td>' + details + '</td></tr>').join('') +
+              '</tbody></table>' : '');
+          } catch (err) {
+            report.innerHTML = '<p class="failed">' + escapeHtml(err.message) + '</p>';
+          } finally {
+            buttons.forEach(b => { b.disabled = false; });
+          }
+        }
+
+        document.getElementById('upload-import').onclick = async () => {
+          const selected = Array.from(document.getElementById('import-files').files);
+          if (!selected.length) return alert('Choose one or more .md or .json files first');
+          const files = await Promise.all(selected.map(async file => ({
+            name: file.name,
+            content: await file.text(),
+            modifiedAt: new Date(file.lastModified).toISOString()
+          })));
+          runImport({ files });
+        };
+
+        document.getElementById('directory-import').onclick = () => runImport({ source: 'directory' });
+
+        document.getElementById('export-import').onclick = () => {
+          const [file] = document.getElementById('export-file').files;
+          if (!file) return alert('Choose an export or editor snippet file first');
+          runImport(file, '/admin/import/snippets?conflict=' + encodeURIComponent(document.getElementById('export-conflict').value) +
+            '&language=' + encodeURIComponent(document.getElementById('export-language').value));
+        };
+      </script>
+    </body>
+    </html>
+  `);
+});
+
+// Takes uploaded files as [{ name, content, modifiedAt }], or source=directory to
+// read the server's snippets/ directory, and answers with the import report
+app.post('/admin/import', requireAuth, requireRole('admin'), csrfProtection, async (req, res) => {
+  let files;
+  if (req.body.source === 'directory') {
+    files = readLegacyFiles(snippetsDir);
+  } else if (Array.isArray(req.body.files) &&
+      req.body.files.every(f => f && typeof f.name === 'string' && typeof f.content === 'string')) {
+    files = req.body.files;
+  } else {
+    return res.status(400).json({ error: 'No files to import' });
+  }
+  try {
+    const report = await importLegacySnippets(files, { ownerId: req.user.id });
+    await recordImport(req, report);
+    res.json(report);
+  } catch (err) {
+    console.error('Import error:', err);
+    res.status(500).json({ error: 'Import failed', details: err.message });
+  }
+});
+
+// Takes an export file as the raw request body, like POST /api/snippets/import
+app.post('/admin/import/snippets', requireAuth, requireRole('admin'), csrfProtection, async (req, res) => {
+  const onConflict = IMPORT_CONFLICT_MODES.includes(req.query.conflict) ? req.query.conflict : 'skip';
+  const defaultLanguage = normalizeLanguage(String(req.query.language || 'plaintext')) || 'plaintext';
+  if (!Buffer.isBuffer(req.body) || !req.body.length) return res.status(400).json({ error: 'No file to import' });
+  let entries;
+  try {
+    entries = readSnippetExport(req.body, { registry: languages, defaultLanguage });
+  } catch (err) {
+    return res.status(400).json({ error: 'Unreadable export', details: err.message });
+  }
+  try {
+    const report = await importSnippetExport(req, entries, { onConflict, ownerId: req.user.id });
+    await recordImport(req, report);
+    res.json(report);
+  } catch (err) {
+    console.error('Import error:', err);
+    res.status(500).json({ error: 'Import failed', details: err.message });
+  }
+});
+
+function formatTimestamp(ts) {
+  if (!ts) return '';
+  if (ts instanceof Date) ts = ts.toISOString();
+  return ts.replace(/T/, ' ').replace(/-/g, '/').slice(0, 19);
+}
+
+// `node index.js <command>` runs a maintenance command instead of the server
+const cliCommand = process.argv[2];
+
+const PORT = process.env.PORT || 3000;
+if (!cliCommand) app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+console.log('Admin JS loaded');
+
+// The first start creates an admin account from ADMIN_USERNAME / ADMIN_PASSWORD
+// so an existing single-password deployment can still log in.
+const ensureAdminUser = async () => {
+  const username = (process.env.ADMIN_USERNAME || 'admin').toLowerCase();
+  const passwordHash = await bcrypt.hash(process.env.ADMIN_PASSWORD || 'admin123', 10);
+  if (await storage.createInitialAdmin({ username, passwordHash })) console.log(`Created initial admin user "${username}"`);
+};
+
+// Pending migrations are applied on every start unless AUTO_MIGRATE=false, in which
+// case deployments run `npm run migrate` themselves
+const autoMigrate = process.env.AUTO_MIGRATE !== 'false' || cliCommand === 'migrate';
+
+const applyMigrations = async () => {
+  if (!autoMigrate) {
+    const pending = (await storage.migrationStatus()).filter(m => !m.applied_at);
+    if (pending.length) console.warn(`${pending.length} pending migration(s); run "npm run migrate"`);
+    return;
+  }
+  const applied = await storage.migrate();
+  applied.forEach(name => console.log(`Applied migration ${name}`));
+};
+
+const schemaReady = storage.init()
+  .then(() => console.log(`Using ${storage.name} storage`))
+  .then(applyMigrations)
+  .then(loadCustomLanguages)
+  .then(ensureAdminUser);
+schemaReady.catch(err => console.error('Schema setup error:', err));
+
+// The server purges expired trash and old webhook deliveries on start and then hourly
+if (!cliCommand) {
+  const purgeTrash = () => purgeExpiredTrash().catch(err => console.error('Trash purge error:', err));
+  const pruneDeliveries = () => storage
+    .pruneWebhookDeliveries(new Date(Date.now() - WEBHOOK_DELIVERY_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString())
+    .catch(err => console.error('Webhook delivery pruning error:', err));
+  const housekeeping = () => Promise.all([purgeTrash(), pruneDeliveries()]);
+  schemaReady.then(housekeeping);
+  setInterval(housekeeping, 60 * 60 * 1000).unref();
+}
+
+// node index.js import [file-or-directory ...]   (defaults to snippets/)
+const runImportCommand = async (targets) => {
+  const files = (targets.length ? targets : [snippetsDir]).flatMap(target => readLegacyFiles(target));
+  const report = await importLegacySnippets(files);
+  await recordImport(null, report);
+  report.imported.forEach(r => console.log(`imported  ${r.file} -> ${r.id}`));
+  report.skipped.forEach(r => console.log(`skipped   ${r.file} (${r.reason})`));
+  report.failed.forEach(r => console.log(`failed    ${r.file}: ${r.error}`));
+  console.log(`Imported ${report.imported.length}, skipped ${report.skipped.length}, failed ${report.failed.length}`);
+  return report.failed.length ? 1 : 0;
+};
+
+// node index.js migrate   (pending migrations are applied before this runs)
+const runMigrateCommand = async () => {
+  const status = await storage.migrationStatus();
+  if (!status.length) {
+    console.log(`The ${storage.name} storage has no schema migrations`);
+    return 0;
+  }
+  status.forEach(m => console.log(`${m.name.padEnd(32)} ${m.applied_at ? `applied ${formatTimestamp(m.applied_at)}` : 'pending'}`));
+  return status.some(m => !m.applied_at) ? 1 : 0;
+};
+
+const CLI_COMMANDS = {
+  import: runImportCommand,
+  migrate: runMigrateCommand
+};
+
+if (cliCommand) {
+  const command = CLI_COMMANDS[cliCommand];
+  if (!command) {
+    console.error(`Unknown command "${cliCommand}". Available: ${Object.keys(CLI_COMMANDS).join(', ')}`);
+    process.exit(1);
+  }
+  schemaReady
+    .then(() => command(process.argv.slice(3)))
+    .then(code => Promise.all(pendingDeliveries).then(() => storage.close()).then(() => process.exit(code)))
+    .catch(err => {
+      console.error(err.message);
+      process.exit(1);
+    });
+}
+
+const API_KEY_SCOPES = ['read', 'write', 'delete'];
+
+// Keys are random 256-bit values, so a plain SHA-256 is enough to store them safely
+// and still lets us look a key up with one indexed query.
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// The API_KEY environment variable is still honoured as a legacy key with every scope
+const isLegacyApiKey = (key) => {
+  const legacy = process.env.API_KEY;
+  if (!legacy || key.length !== legacy.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(key), Buffer.from(legacy));
+};
+
+// Add API key middleware; every route names the scope it needs, or null for any
+// valid key when the route checks the scope itself
+const requireApiKey = (scope) => async (req, res, next) => {
+  const apiKey = req.headers['x-api-key'];
+  if (!apiKey) {
+    return res.status(401).json({ error: 'Invalid API key' });
+  }
+  if (isLegacyApiKey(apiKey)) {
+    req.apiKey = { id: null, label: 'API_KEY environment variable', scopes: API_KEY_SCOPES, created_by: null };
+    return next();
+  }
+  const key = await storage.useApiKey(hashApiKey(apiKey));
+  if (!key) {
+    return res.status(401).json({ error: 'Invalid API key' });
+  }
+  if (scope && !key.scopes.includes(scope)) {
+    return res.status(403).json({ error: `API key is missing the ${scope} scope` });
+  }
+  req.apiKey = key;
+  next();
+};
+
+// Session users and API keys with the read scope can both fetch raw files, e.g.
+//   curl -O -H "X-API-Key: $KEY" https://snippets.example.com/s/deploy-script/raw/deploy-script.sh
+const requireAuthOrApiKey = (scope) => (req, res, next) =>
+  (req.headers['x-api-key'] ? requireApiKey(scope) : requireAuth)(req, res, next);
+
+// Add endpoint to fetch a snippet as a file; the optional trailing file name is ignored
+app.get('/s/:ref/raw{/:filename}', requireAuthOrApiKey('read'), async (req, res) => {
+  const snippet = await findSnippet(req.params.ref);
+  if (!snippet) return res.status(404).type('text/plain').send('Snippet not found');
+  sendSnippetFile(req, res, snippet);
+});
+
+// Add new REST API endpoint for posting snippets
+app.post('/api/snippets', requireApiKey('write'), async (req, res) => {
+  try {
+    const { code, title, description, embeddable, detect } = req.body;
+    const tags = parseTags(req.body.tags);
+    const slug = normalizeSlug(req.body.slug);
+    
+    // With detect, the language may be left out and a plaintext one is detected
+    if ((!req.body.language && !detect) || !code) {
+      return res.status(400).json({ 
+        error: 'Missing required fields',
+        required: detect ? ['code'] : ['language', 'code']
+      });
+    }
+    if (detect !== undefined && typeof detect !== 'boolean') {
+      return res.status(400).json({ error: 'Invalid field value', details: 'detect must be true or false' });
+    }
+    const slugError = await validateSlug(slug);
+    if (slugError) {
+      return res.status(400).json({ error: 'Invalid slug', details: slugError });
+    }
+    if (embeddable !== undefined && typeof embeddable !== 'boolean') {
+      return res.status(400).json({ error: 'Invalid field value', details: 'embeddable must be true or false' });
+    }
+
+    const requested = req.body.language ? normalizeLanguage(req.body.language) : null;
+    if (req.body.language && !requested) {
+      return res.status(400).json({ error: 'Unknown language', details: unknownLanguageMessage(req.body.language) });
+    }
+    const screened = screenSecrets(code);
+    if (screened.blocked) {
+      return res.status(400).json({ error: 'Snippet contains secrets', details: screened.findings });
+    }
+    const { language, detectedLanguage, languageConfidence } = detect
+      ? resolveLanguage(requested, screened.code)
+      : { language: requested };
+    const snippet = await createSnippet({
+      slug, language, code: screened.code, title, description, tags, embeddable, detectedLanguage, languageConfidence,
+      secretFindings: screened.findings,
+      ownerId: req.apiKey.created_by
+    }, 'api');
+    await recordSnippetChange(req, 'snippet.create', null, snippet);
+
+    res.status(201).json({
+      success: true,
+      message: 'Snippet created successfully',
+      data: {
+        id: snippet.id,
+        slug: snippet.slug,
+        filename: snippet.filename,
+        url: `${req.protocol}://${req.get('host')}${snippetPath(snippet)}`,
+        language: snippet.language,
+        detected_language: snippet.detected_language,
+        language_confidence: snippet.language_confidence,
+        title: snippet.title,
+        description: snippet.description,
+        tags: snippet.tags,
+        embeddable: snippet.embeddable,
+        secret_findings: snippet.secret_findings,
+        timestamp: snippet.timestamp
+      }
+    });
+  } catch (err) {
+    console.error('API Error:', err);
+    res.status(500).json({ 
+      error: 'Failed to create snippet',
+      details: err.message 
+    });
+  }
+});
+
+// Parses a from/to query value; a bare date as the upper bound covers that whole day
+const parseDateParam = (value, endOfDay) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return undefined;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString();
+};
+
+// Absolute URL of the current request with some query parameters replaced
+const pageUrl = (req, overrides) => {
+  const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+  Object.entries(overrides).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+// Add endpoint to list snippets with filtering, sorting and pagination
+app.get('/api/snippets', requireApiKey('read'), async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const perPage = Math.min(100, Math.max(1, parseInt(req.query.per_page, 10) || 50));
+  const from = parseDateParam(req.query.from, false);
+  const to = parseDateParam(req.query.to, true);
+  const { sort, order } = req.query;
+
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({ error: 'Invalid date', details: 'from and to must be ISO 8601 dates' });
+  }
+  if (sort && !SNIPPET_SORTS.includes(sort)) {
+    return res.status(400).json({ error: 'Invalid sort', allowed: SNIPPET_SORTS });
+  }
+  if (order && !['asc', 'desc'].includes(order)) {
+    return res.status(400).json({ error: 'Invalid order', allowed: ['asc', 'desc'] });
+  }
+
+  try {
+    const { total, rows } = await querySnippets({
+      q: req.query.q,
+      language: req.query.language,
+      tags: parseTags(req.query.tag),
+      from,
+      to
+    }, { sort, order, page, perPage });
+    const pages = Math.ceil(total / perPage);
+    res.json({
+      data: rows.map(({ rank, ...row }) => (rank === null ? row : { ...row, rank })),
+      total,
+      page,
+      per_page: perPage,
+      pages,
+      links: {
+        self: pageUrl(req, { page }),
+        next: page < pages ? pageUrl(req, { page: page + 1 }) : null,
+        prev: page > 1 ? pageUrl(req, { page: Math.min(page - 1, Math.max(pages, 1)) }) : null
+      }
+    });
+  } catch (err) {
+    console.error('API Error:', err);
+    res.status(500).json({ 
+      error: 'Failed to fetch snippets',
+      details: err.message 
+    });
+  }
+});
+
+// Add endpoint to download all, filtered or listed snippets as JSON Lines, an
+// archive or an editor snippet file. ids (ids or slugs, comma separated) takes the
+// place of the filters. Registered before /api/snippets/:id, which would otherwise
+// take "export" as an id.
+app.get('/api/snippets/export', requireApiKey('read'), async (req, res) => {
+  const format = req.query.format || 'jsonl';
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+    return res.status(400).json({ error: 'Invalid format', allowed: Object.keys(EXPORT_FORMATS) });
+  }
+  const from = parseDateParam(req.query.from, false);
+  const to = parseDateParam(req.query.to, true);
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({ error: 'Invalid date', details: 'from and to must be ISO 8601 dates' });
+  }
+  if (req.query.ids !== undefined) {
+    const refs = [...new Set(String(req.query.ids).split(',').map(ref => ref.trim()).filter(Boolean))];
+    if (!refs.length) return res.status(400).json({ error: 'No snippets specified', details: 'ids must list snippet ids or slugs' });
+    const resolved = await resolveBulkTargets({ ids: refs });
+    if (resolved.error) return res.status(400).json({ error: resolved.error, details: resolved.details });
+    const missing = resolved.targets.filter(target => !target.snippet).map(target => target.ref);
+    if (missing.length) return res.status(404).json({ error: 'Snippet not found', details: missing.join(', ') });
+    return sendSnippetExport(res, format, resolved.targets.map(target => target.snippet));
+  }
+  await sendSnippetExport(res, format, exportedSnippets({
+    q: req.query.q,
+    language: req.query.language,
+    tags: parseTags(req.query.tag),
+    from,
+    to
+  }));
+});
+
+// Add endpoint to get a specific snippet
+app.get('/api/snippets/:id', requireApiKey('read'), async (req, res) => {
+  try {
+    const snippet = await findSnippet(req.params.id);
+    if (!snippet) {
+      return res.status(404).json({ error: 'Snippet not found' });
+    }
+    res.json(snippet);
+  } catch (err) {
+    console.error('API Error:', err);
+    res.status(500).json({ 
+      error: 'Failed to fetch snippet',
+      details: err.message 
+    });
+  }
+});
+
+// Body fields shared by PUT and PATCH; strings only, so a JSON null clears a field
+const apiSnippetChanges = (body, replace) => {
+  const changes = {};
+  if (replace || body.language !== undefined) changes.language = body.language;
+  if (replace || body.code !== undefined) changes.code = body.code;
+  if (replace || body.title !== undefined) changes.title = body.title ?? null;
+  if (replace || body.description !== undefined) changes.description = body.description ?? null;
+  if (replace || body.tags !== undefined) changes.tags = parseTags(body.tags);
+  if (body.slug !== undefined) changes.slug = normalizeSlug(body.slug);
+  if (body.embeddable !== undefined) changes.embeddable = body.embeddable;
+  return changes;
+};
+
+const updateSnippetFromApi = (replace) => async (req, res) => {
+  try {
+    const changes = apiSnippetChanges(req.body || {}, replace);
+    if (replace && (!changes.language || !changes.code)) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['language', 'code']
+      });
+    }
+    if (changes.language === '' || changes.code === '' ||
+        ['language', 'code', 'title', 'description', 'slug'].some(k => changes[k] != null && typeof changes[k] !== 'string')) {
+      return res.status(400).json({ error: 'Invalid field value' });
+    }
+    if (changes.embeddable !== undefined && typeof changes.embeddable !== 'boolean') {
+      return res.status(400).json({ error: 'Invalid field value', details: 'embeddable must be true or false' });
+    }
+    const current = await findSnippet(req.params.id);
+    if (!current) {
+      return res.status(404).json({ error: 'Snippet not found' });
+    }
+    if (changes.language !== undefined) {
+      const language = normalizeLanguage(changes.language, current.language);
+      if (!language) {
+        return res.status(400).json({ error: 'Unknown language', details: unknownLanguageMessage(changes.language) });
+      }
+      changes.language = language;
+    }
+    const slugError = await validateSlug(changes.slug, current.filename);
+    if (slugError) {
+      return res.status(400).json({ error: 'Invalid slug', details: slugError });
+    }
+    if (changes.code !== undefined) {
+      const screened = screenSecrets(changes.code);
+      if (screened.blocked) {
+        return res.status(400).json({ error: 'Snippet contains secrets', details: screened.findings });
+      }
+      changes.code = screened.code;
+      changes.secretFindings = screened.findings;
+    }
+    const snippet = await updateSnippet(current.filename, changes, 'api');
+    await recordSnippetChange(req, 'snippet.update', current, snippet);
+    res.json({
+      success: true,
+      message: 'Snippet updated successfully',
+      data: snippet
+    });
+  } catch (err) {
+    console.error('API Error:', err);
+    res.status(500).json({ 
+      error: 'Failed to update snippet',
+      details: err.message 
+    });
+  }
+};
+
+// Add endpoints to replace (PUT) or partially update (PATCH) a snippet in place
+app.put('/api/snippets/:id', requireApiKey('write'), updateSnippetFromApi(true));
+app.patch('/api/snippets/:id', requireApiKey('write'), updateSnippetFromApi(false));
+
+// Add endpoint to list the revisions of a snippet, newest first
+app.get('/api/snippets/:id/revisions', requireApiKey('read'), async (req, res) => {
+  try {
+    const snippet = await findSnippet(req.params.id);
+    if (!snippet) {
+      return res.status(404).json({ error: 'Snippet not found' });
+    }
+    res.json(await getRevisions(snippet.filename));
+  } catch (err) {
+    console.error('API Error:', err);
+    res.status(500).json({ 
+      error: 'Failed to fetch revisions',
+      details: err.message 
+    });
+  }
+});
+
+// Add endpoint to delete a snippet. It goes to the trash unless ?permanent=true,
+// which also removes snippets that are already in the trash.
+app.delete('/api/snippets/:id', requireApiKey('delete'), async (req, res) => {
+  try {
+    const permanent = req.query.permanent === 'true';
+    const snippet = await findSnippet(req.params.id) || (permanent && await storage.findTrashedSnippet(req.params.id));
+    if (!snippet) {
+      return res.status(404).json({ error: 'Snippet not found' });
+    }
+    if (permanent) {
+      await purgeSnippet(req, snippet);
+      return res.json({ success: true, message: 'Snippet deleted permanently' });
+    }
+    await storage.trashSnippet(snippet.filename, req.apiKey.created_by);
+    await recordSnippetChange(req, 'snippet.delete', snippet, null);
+    res.json({
+      success: true,
+      message: 'Snippet moved to the trash',
+      purge_at: trashPurgeDate(new Date().toISOString())
+    });
+  } catch (err) {
+    console.error('API Error:', err);
+    res.status(500).json({ 
+      error: 'Failed to delete snippet',
+      details: err.message 
+    });
+  }
+});
+
+// Add endpoint to apply one action to many snippets, named by a list of ids or a
+// filter. The key needs the scope of the action; every snippet gets a result.
+app.post('/api/snippets/bulk', requireApiKey(null), async (req, res) => {
+  const { action, ids, filter } = req.body || {};
+  if (!Object.hasOwn(BULK_ACTIONS, action)) {
+    return res.status(400).json({ error: 'Unknown action', allowed: Object.keys(BULK_ACTIONS) });
+  }
+  const { scope } = BULK_ACTIONS[action];
+  if (!req.apiKey.scopes.includes(scope)) {
+    return res.status(403).json({ error: `API key is missing the ${scope} scope` });
+  }
+  if ((ids === undefined) === (filter === undefined)) {
+    return res.status(400).json({ error: 'Invalid selection', details: 'Send either ids or filter' });
+  }
+  if (ids !== undefined && (!Array.isArray(ids) || !ids.length || ids.some(id => typeof id !== 'string' || !id))) {
+    return res.status(400).json({ error: 'Invalid selection', details: 'ids must be a non-empty list of snippet ids or slugs' });
+  }
+  if (filter !== undefined && (typeof filter !== 'object' || filter === null || Array.isArray(filter))) {
+    return res.status(400).json({ error: 'Invalid selection', details: 'filter must be an object' });
+  }
+  const { options, error, details } = bulkOptions(action, req.body);
+  if (error) return res.status(400).json({ error, details });
+
+  let selection = { ids };
+  if (filter) {
+    const from = parseDateParam(filter.from, false);
+    const to = parseDateParam(filter.to, true);
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ error: 'Invalid date', details: 'from and to must be ISO 8601 dates' });
+    }
+    const text = (value) => (typeof value === 'string' ? value : undefined);
+    selection = { filter: { q: text(filter.q), language: text(filter.language), tags: parseTags(filter.tag), from, to } };
+  }
+
+  try {
+    const resolved = await resolveBulkTargets(selection, { includeTrashed: options.permanent });
+    if (resolved.error) return res.status(400).json({ error: resolved.error, details: resolved.details });
+    const results = await runBulkAction(req, action, resolved.targets, options, 'api');
+    const failed = results.filter(r => r.status === 'error').length;
+    res.json({ action, total: results.length, succeeded: results.length - failed, failed, results });
+  } catch (err) {
+    console.error('API Error:', err);
+    res.status(500).json({
+      error: 'Bulk action failed',
+      details: err.message
+    });
+  }
+});
+
+// Add endpoint to import an export file sent as the request body; the format is
+// recognised from its contents. language is used for editor snippets whose scope
+// is not a known language.
+app.post('/api/snippets/import', requireApiKey('write'), async (req, res) => {
+  const onConflict = req.query.conflict || 'skip';
+  if (!IMPORT_CONFLICT_MODES.includes(onConflict)) {
+    return res.status(400).json({ error: 'Invalid conflict mode', allowed: IMPORT_CONFLICT_MODES });
+  }
+  const defaultLanguage = req.query.language === undefined ? 'plaintext' : normalizeLanguage(String(req.query.language));
+  if (!defaultLanguage) {
+    return res.status(400).json({ error: 'Unknown language', details: unknownLanguageMessage(req.query.language) });
+  }
+  if (!Buffer.isBuffer(req.body) || !req.body.length) {
+    return res.status(400).json({
+      error: 'No file to import',
+      details: 'Send a JSON Lines, tar.gz or zip export, a .code-snippets file or a JetBrains template set as the request body'
+    });
+  }
+  let entries;
+  try {
+    entries = readSnippetExport(req.body, { registry: languages, defaultLanguage });
+  } catch (err) {
+    return res.status(400).json({ error: 'Unreadable export', details: err.message });
+  }
+  try {
+    const report = await importSnippetExport(req, entries, { onConflict, ownerId: req.apiKey.created_by });
+    await recordImport(req, report);
+    res.json(report);
+  } catch (err) {
+    console.error('API Error:', err);
+    res.status(500).json({
+      error: 'Import failed',
+      details: err.message
+    });
+  }
+});
+
+// Add API key generation utility
+function generateApiKey() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+const renderApiKeyCreated = (req, apiKey, record) => `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>API Key Created</title>
+      <style>
+        body { font-family: monospace; background: #1e1e1e; color: #eee; padding: 2em; }
+        .container { max-width: 800px; margin: 0 auto; }
+        a { color: #7ecfff; }
+        .key-box { 
+          background: #252526; 
+          padding: 1em; 
+          border-radius: 4px; 
+          margin: 1em 0;
+          word-break: break-all;
+        }
+        .warning {
+          color: #ff5555;
+          margin: 1em 0;
+        }
+        button {
+          background: #007acc;
+          color: white;
+          border: none;
+          padding: 0.5em 1em;
+          border-radius: 4px;
+          cursor: pointer;
+          margin: 1em 0;
+        }
+        .copy-btn {
+          background: #333;
+          margin-left: 1em;
+        }
+      </style>
+    </head>
+    <body>
+      ${getNavigation('api-keys', req.user)}
+      <div class="container">
+        <h2>API Key "${escapeHtml(record.label)}" Created</h2>
+        <p>Scopes: ${record.scopes.join(', ')}</p>
+        <div class="warning">
+          ⚠️ This key will only be shown once. Make sure to copy it now!
+        </div>
+        <div class="key-box">
+          <code id="api-key">${apiKey}</code>
+          <button class="copy-btn" onclick="copyApiKey()">Copy</button>
+        </div>
+        <p>Send it in the <code>X-API-Key</code> header:</p>
+        <div class="key-box">
+          <code id="curl-example">curl -H "X-API-Key: ${apiKey}" ${escapeHtml(`${req.protocol}://${req.get('host')}`)}/api/snippets</code>
+          <button class="copy-btn" onclick="copyCurl()">Copy</button>
+        </div>
+        <p><a href="/admin/api-keys">Back to API Keys</a></p>
+      </div>
+      <script>
+        function copyApiKey() {
+          copyToClipboard(document.getElementById('api-key').textContent);
+        }
+        function copyCurl() {
+          copyToClipboard(document.getElementById('curl-example').textContent);
+        }
+        function copyToClipboard(text) {
+          navigator.clipboard.writeText(text).then(() => {
+            alert('Copied to clipboard!');
+          }).catch(err => {
+            console.error('Failed to copy:', err);
+          });
+        }
+      </script>
+    </body>
+    </html>
+  `;
+
+app.get('/admin/api-keys', requireAuth, requireRole('admin'), csrfProtection, async (req, res) => {
+  const keys = await storage.listApiKeys();
+  const message = req.query.error ? `<p class="error">${escapeHtml(req.query.error)}</p>` : '';
+
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Admin - API Keys</title>
+      <style>
+        body { font-family: monospace; background: #1e1e1e; color: #eee; padding: 2em; }
+        .container { max-width: 1000px; margin: 0 auto; }
+        a { color: #7ecfff; }
+        table { width: 100%; border-collapse: collapse; background: #252526; margin-bottom: 2em; }
+        th, td { padding: 0.7em; border-bottom: 1px solid #333; text-align: left; }
+        th { background: #232323; }
+        tr.revoked td { color: #777; }
+        input { padding: 0.4em; background: #1e1e1e; color: #eee; border: 1px solid #333; font-family: inherit; }
+        button { background: #007acc; color: #fff; border: none; border-radius: 4px; padding: 0.4em 0.9em; cursor: pointer; font-family: inherit; }
+        button.danger { background: #ff5555; }
+        .new-key { background: #252526; padding: 1em; border-radius: 6px; display: flex; gap: 1em; flex-wrap: wrap; align-items: center; }
+        .error { color: #ff5555; }
+        .muted { color: #888; }
+      </style>
+    </head>
+    <body>
+      ${getNavigation('api-keys', req.user)}
+      <div class="container">
+        <h2>API Keys</h2>
+        ${message}
+        ${process.env.API_KEY ? '<p class="muted">The API_KEY environment variable is also accepted with every scope. Unset it once your scripts use managed keys.</p>' : ''}
+        <table>
+          <thead>
+            <tr><th>Label</th><th>Key</th><th>Scopes</th><th>Created</th><th>Last used</th><th></th></tr>
+          </thead>
+          <tbody>
+            ${keys.length ? keys.map(k => `
+              <tr class="${k.revoked_at ? 'revoked' : ''}">
+                <td>${escapeHtml(k.label)}</td>
+                <td>${escapeHtml(k.key_prefix)}…</td>
+                <td>${k.scopes.join(', ')}</td>
+                <td>${formatTimestamp(k.created_at)}${k.created_by_username ? ` by ${escapeHtml(k.created_by_username)}` : ''}</td>
+                <td>${k.last_used_at ? formatTimestamp(k.last_used_at) : 'never'}</td>
+                <td>
+                  ${k.revoked_at ? `revoked ${formatTimestamp(k.revoked_at)}` : `
+                  <form method="POST" action="/admin/api-keys/${k.id}/revoke" onsubmit="return confirm('Revoke ${escapeHtml(k.label)}? Scripts using it will stop working.');">
+                    <input type="hidden" name="_csrf" value="${req.csrfToken()}">
+                    <button type="submit" class="danger">Revoke</button>
+                  </form>`}
+                </td>
+              </tr>
+            `).join('') : '<tr><td colspan="6" class="muted">No API keys yet.</td></tr>'}
+          </tbody>
+        </table>
+        <h3>Generate a new key</h3>
+        <form class="new-key" method="POST" action="/admin/api-keys">
+          <input type="hidden" name="_csrf" value="${req.csrfToken()}">
+          <input type="text" name="label" placeholder="Label, e.g. backup job" required>
+          ${API_KEY_SCOPES.map(scope => `
+            <label><input type="checkbox" name="scopes" value="${scope}"${scope === 'read' ? ' checked' : ''}> ${scope}</label>
+          `).join('')}
+          <button type="submit">Generate</button>
+        </form>
+        <p><a href="/admin">Back to Admin</a></p>
+      </div>
+    </body>
+    </html>
+  `);
+});
+
+app.post('/admin/api-keys', requireAuth, requireRole('admin'), csrfProtection, async (req, res) => {
+  const label = (req.body.label || '').trim();
+  const scopes = [].concat(req.body.scopes || []).filter(scope => API_KEY_SCOPES.includes(scope));
+  if (!label) return res.redirect(`/admin/api-keys?error=${encodeURIComponent('A label is required')}`);
+  if (!scopes.length) return res.redirect(`/admin/api-keys?error=${encodeURIComponent('Pick at least one scope')}`);
+
+  const apiKey = generateApiKey();
+  const key = await storage.createApiKey({
+    label,
+    keyHash: hashApiKey(apiKey),
+    keyPrefix: apiKey.slice(0, 8),
+    scopes,
+    createdBy: req.user.id
+  });
+  await recordAudit(req, 'api_key.create', {
+    targetType: 'api_key',
+    targetId: String(key.id),
+    after: { label: key.label, key_prefix: key.key_prefix, scopes: key.scopes }
+  });
+  res.send(renderApiKeyCreated(req, apiKey, key));
+});
+
+app.post('/admin/api-keys/:id/revoke', requireAuth, requireRole('admin'), csrfProtection, async (req, res) => {
+  const key = (await storage.listApiKeys()).find(k => k.id === Number(req.params.id));
+  if (!key || !await storage.revokeApiKey(key.id)) return res.status(404).send('API key not found');
+  await recordAudit(req, 'api_key.revoke', {
+    targetType: 'api_key',
+    targetId: String(key.id),
+    before: { label: key.label, key_prefix: key.key_prefix, scopes: key.scopes }
+  });
+  res.redirect('/admin/api-keys');
+});
+
+// Old entry point; keys are now generated from the API keys page
+app.get('/generate-api-key', requireAuth, requireRole('admin'), (req, res) => {
+  res.redirect('/admin/api-keys');
+});
@@ -0,0 +1,244 @@
+const zlib = require('zlib');
+const { finished, pipeline } = require('stream/promises');
+
+// Upper bound for decompressed data, so a small upload cannot unpack into gigabytes
+const MAX_UNPACKED_BYTES = 100 * 1024 * 1024;
+
+// Writes a chunk, waiting while the stream's buffer is full. Rejects if the
+// stream is closed first, e.g. because the client went away mid-download.
+const writeChunk = (stream, chunk) => new Promise((resolve, reject) => {
+  if (stream.destroyed) return reject(new Error('Output closed'));
+  if (stream.write(chunk)) return resolve();
+  const done = (err) => {
+    stream.off('drain', drained);
+    stream.off('close', closed);
+    if (err) reject(err); else resolve();
+  };
+  const drained = () => done();
+  const closed = () => done(new Error('Output closed'));
+  stream.once('drain', drained);
+  stream.once('close', closed);
+});
+
+// Not end(callback): session middleware wraps res.end and takes the callback for data
+const endStream = (stream) => {
+  stream.end();
+  return finished(stream);
+};
+
+// ustar keeps names up to 100 bytes, or 255 when split into a prefix at a slash
+const splitTarName = (name) => {
+  if (Buffer.byteLength(name) <= 100) return ['', name];
+  for (let i = name.indexOf('/'); i !== -1; i = name.indexOf('/', i + 1)) {
+    const [prefix, base] = [name.slice(0, i), name.slice(i + 1)];
+    if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(base) <= 100) return [prefix, base];
+  }
+  throw new Error(`File name too long for a tar archive: ${name}`);
+};
+
+const tarChecksum = (header) => header.reduce((sum, byte, i) => sum + (i >= 148 && i < 156 ? 32 : byte), 0);
+
+const tarHeader = (name, size, mtime) => {
+  const header = Buffer.alloc(512);
+  const [prefix, base] = splitTarName(name);
+  const octal = (value, length) => `${value.toString(8).padStart(length - 1, '0')}\0`;
+  header.write(base, 0);
+  header.write(octal(0o644, 8), 100);
+  header.write(octal(0, 8), 108);
+  header.write(octal(0, 8), 116);
+  header.write(octal(size, 12), 124);
+  header.write(octal(Math.floor(mtime.getTime() / 1000), 12), 136);
+  header.write('0', 156);
+  header.write('ustar\0', 257);
+  header.write('00', 263);
+  header.write(prefix, 345);
+  header.write(`${tarChecksum(header).toString(8).padStart(6, '0')}\0 `, 148);
+  return header;
+};
+
+// Zip stores local time with two-second precision, years from 1980
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+const createTarWriter = (output) => {
+  const gzip = zlib.createGzip();
+  // Closing the output tears down the gzip stream too, which fails the next write
+  const done = pipeline(gzip, output);
+  done.catch(() => {});
+  return {
+    add: async (name, content, mtime = new Date()) => {
+      const data = Buffer.from(content);
+      await writeChunk(gzip, tarHeader(name, data.length, mtime));
+      await writeChunk(gzip, data);
+      if (data.length % 512) await writeChunk(gzip, Buffer.alloc(512 - (data.length % 512)));
+    },
+    finish: async () => {
+      await writeChunk(gzip, Buffer.alloc(1024));
+      gzip.end();
+      await done;
+    }
+  };
+};
+
+// Entries are deflated one at a time, so their sizes and checksums go in the
+// local headers and no data descriptors are needed
+const createZipWriter = (output) => {
+  const entries = [];
+  let offset = 0;
+  const put = async (chunk) => {
+    await writeChunk(output, chunk);
+    offset += chunk.length;
+  };
+  return {
+    add: async (name, content, mtime = new Date()) => {
+      if (entries.length === 0xffff) throw new Error('Too many files for a zip archive; use tar');
+      const data = Buffer.from(content);
+      const compressed = zlib.deflateRawSync(data);
+      const entry = { name: Buffer.from(name), crc: zlib.crc32(data), size: data.length, compressedSize: compressed.length, offset, ...dosDateTime(mtime) };
+      const header = Buffer.alloc(30);
+      header.writeUInt32LE(0x04034b50, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(0x0800, 6); // UTF-8 names
+      header.writeUInt16LE(8, 8); // deflate
+      header.writeUInt16LE(entry.time, 10);
+      header.writeUInt16LE(entry.date, 12);
+      header.writeUInt32LE(entry.crc, 14);
+      header.writeUInt32LE(entry.compressedSize, 18);
+      header.writeUInt32LE(entry.size, 22);
+      header.writeUInt16LE(entry.name.length, 26);
+      await put(Buffer.concat([header, entry.name, compressed]));
+      entries.push(entry);
+    },
+    finish: async () => {
+      const start = offset;
+      for (const entry of entries) {
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(20, 6);
+        header.writeUInt16LE(0x0800, 8);
+        header.writeUInt16LE(8, 10);
+        header.writeUInt16LE(entry.time, 12);
+        header.writeUInt16LE(entry.date, 14);
+        header.writeUInt32LE(entry.crc, 16);
+        header.writeUInt32LE(entry.compressedSize, 20);
+        header.writeUInt32LE(entry.size, 24);
+        header.writeUInt16LE(entry.name.length, 28);
+        header.writeUInt32LE((0o100644 << 16) >>> 0, 38);
+        header.writeUInt32LE(entry.offset, 42);
+        await put(Buffer.concat([header, entry.name]));
+      }
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0);
+      end.writeUInt16LE(entries.length, 8);
+      end.writeUInt16LE(entries.length, 10);
+      end.writeUInt32LE(offset - start, 12);
+      end.writeUInt32LE(start, 16);
+      await writeChunk(output, end);
+      await endStream(output);
+    }
+  };
+};
+
+// Streams an archive to output: add(name, content, mtime) per file, then finish().
+// format is 'tar' (gzip-compressed) or 'zip'.
+const createArchiveWriter = (format, output) => (format === 'zip' ? createZipWriter(output) : createTarWriter(output));
+
+const readTar = (buffer) => {
+  const files = [];
+  const text = (block, start, length) => {
+    const end = block.indexOf(0, start);
+    return block.toString('utf8', start, end === -1 || end > start + length ? start + length : end).trim();
+  };
+  let longName = null;
+  for (let offset = 0; offset + 512 <= buffer.length;) {
+    const header = buffer.subarray(offset, offset + 512);
+    if (header.every(byte => byte === 0)) break;
+    if (parseInt(text(header, 148, 8), 8) !== tarChecksum(header)) throw new Error('Corrupt tar archive');
+    const size = parseInt(text(header, 124, 12), 8) || 0;
+    const data = buffer.subarray(offset + 512, offset + 512 + size);
+    if (data.length < size) throw new Error('Truncated tar archive');
+    offset += 512 + Math.ceil(size / 512) * 512;
+
+    const type = header[156] === 0 ? '0' : String.fromCharCode(header[156]);
+    // Long names from GNU tar ('L') and pax ('x') headers apply to the next file
+    if (type === 'L') {
+      longName = text(data, 0, data.length);
+    } else if (type === 'x') {
+      longName = /(?:^|\n)\d+ path=([^\n]*)\n/.exec(data.toString('utf8'))?.[1] ?? longName;
+    } else {
+      if (type === '0') {
+        const prefix = text(header, 345, 155);
+        const name = longName || (prefix ? `${prefix}/${text(header, 0, 100)}` : text(header, 0, 100));
+        files.push({ name, data });
+      }
+      longName = null;
+    }
+  }
+  return files;
+};
+
+const readZip = (buffer) => {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (end === -1) throw new Error('Corrupt zip archive');
+  const count = buffer.readUInt16LE(end + 10);
+  let pointer = buffer.readUInt32LE(end + 16);
+  const files = [];
+  // Entries are inflated one by one, so the cap applies to their running total
+  let unpacked = 0;
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(pointer) !== 0x02014b50) throw new Error('Corrupt zip archive');
+    const method = buffer.readUInt16LE(pointer + 10);
+    const crc = buffer.readUInt32LE(pointer + 16);
+    const compressedSize = buffer.readUInt32LE(pointer + 20);
+    const nameLength = buffer.readUInt16LE(pointer + 28);
+    const local = buffer.readUInt32LE(pointer + 42);
+    const name = buffer.toString('utf8', pointer + 46, pointer + 46 + nameLength);
+    pointer += 46 + nameLength + buffer.readUInt16LE(pointer + 30) + buffer.readUInt16LE(pointer + 32);
+    if (name.endsWith('/')) continue;
+
+    if (buffer.readUInt32LE(local) !== 0x04034b50) throw new Error('Corrupt zip archive');
+    const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+    const raw = buffer.subarray(start, start + compressedSize);
+    let data;
+    if (method === 0) data = raw;
+    else if (method === 8) data = zlib.inflateRawSync(raw, { maxOutputLength: Math.max(1, MAX_UNPACKED_BYTES - unpacked) });
+    else throw new Error(`${name} uses an unsupported compression method`);
+    unpacked += data.length;
+    if (unpacked > MAX_UNPACKED_BYTES) throw new Error('Corrupt or too large zip archive');
+    if (zlib.crc32(data) !== crc) throw new Error(`${name} is corrupt`);
+    files.push({ name, data });
+  }
+  return files;
+};
+
+// 'zip', 'tar.gz', 'tar', or null when the data is not an archive
+const archiveType = (buffer) => {
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) return 'zip';
+  if (buffer.length >= 22 && buffer.readUInt32LE(0) === 0x06054b50) return 'zip';
+  if (buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) return 'tar.gz';
+  if (buffer.length >= 512 && buffer.toString('latin1', 257, 262) === 'ustar') return 'tar';
+  return null;
+};
+
+// Unpacks an archive into [{ name, data }] for its regular files. Names lose
+// any leading "./" that tar adds when a directory is archived as ".".
+const readArchive = (buffer) => {
+  const type = archiveType(buffer);
+  if (!type) throw new Error('Not a zip or tar archive');
+  let files;
+  try {
+    files = type === 'zip'
+      ? readZip(buffer)
+      : readTar(type === 'tar.gz' ? zlib.gunzipSync(buffer, { maxOutputLength: MAX_UNPACKED_BYTES }) : buffer);
+  } catch (err) {
+    // Out-of-range reads mean the archive was cut short; inflating past the cap
+    // fails the same way
+    throw err instanceof RangeError ? new Error(`Corrupt or too large ${type} archive`) : err;
+  }
+  return files.map(file => ({ ...file, name: file.name.replace(/^(\.\/)+/, '') }));
+};
+
+module.exports = { archiveType, createArchiveWriter, readArchive, writeChunk, endStream };
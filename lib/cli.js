@@ -0,0 +1,338 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { parseArgs } = require('util');
+
+// The `snip` command-line client. It only talks to the REST API, so it works
+// against any server it has a URL and an API key for.
+
+const USAGE = `Usage: snip <command> [options]
+
+Commands:
+  config [--url URL] [--key KEY]    Show or change the saved server URL and API key
+  push <file> [--id REF]            Create a snippet from a file, or replace the code of REF
+      [--language L] [--title T] [--description D] [--tags a,b] [--slug S]
+  pull <ref> [-o FILE|DIR]          Print a snippet's code, or save it to a file
+  ls [--language L] [--tag T] [--sort timestamp|title|language] [--order asc|desc]
+     [--page N] [--per-page N] [--all]
+                                    List snippets
+  search <query> [--language L] [--tag T] [--page N] [--per-page N]
+                                    Full-text search
+  edit <ref>                        Open a snippet in $VISUAL or $EDITOR and save it back
+  rm <ref> [--permanent]            Move a snippet to the trash, or delete it for good
+
+Every command accepts --json for machine-readable output.
+The server URL and key come from SNIP_URL and SNIP_API_KEY, or from the config file
+(SNIP_CONFIG, default ~/.config/snip/config.json).`;
+
+// A failed command; the message is printed without a stack trace
+class CliError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.details = details;
+  }
+}
+
+const configPath = (env) => env.SNIP_CONFIG
+  || path.join(env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'snip', 'config.json');
+
+// The saved settings, or {} when there is no config file yet
+const readConfigFile = (file) => {
+  if (!fs.existsSync(file)) return {};
+  let saved;
+  try {
+    saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new CliError(`Cannot read ${file}: ${err.message}; fix or delete it`);
+  }
+  if (!saved || typeof saved !== 'object') throw new CliError(`Cannot read ${file}: not a JSON object; fix or delete it`);
+  return saved;
+};
+
+const readConfig = (env) => {
+  const saved = readConfigFile(configPath(env));
+  return { url: env.SNIP_URL || saved.url, key: env.SNIP_API_KEY || saved.key };
+};
+
+// The file holds an API key, so only its owner may read it
+const writeConfig = (env, config) => {
+  const file = configPath(env);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(config, null, 2) + '\n', { mode: 0o600 });
+  fs.chmodSync(file, 0o600);
+  return file;
+};
+
+const createClient = ({ url, key }) => {
+  if (!url || !key) throw new CliError('No server configured; run "snip config --url URL --key KEY"');
+  const base = url.replace(/\/+$/, '');
+
+  const request = async (method, pathname, { query, body } = {}) => {
+    const target = new URL(base + pathname);
+    Object.entries(query || {}).forEach(([name, value]) => {
+      if (value !== undefined && value !== '') target.searchParams.set(name, value);
+    });
+    let response;
+    try {
+      response = await fetch(target, {
+        method,
+        headers: { 'X-API-Key': key, ...(body ? { 'Content-Type': 'application/json' } : {}) },
+        body: body && JSON.stringify(body)
+      });
+    } catch (err) {
+      throw new CliError(`Cannot reach ${base}: ${err.cause?.message || err.message}`);
+    }
+    const text = await response.text();
+    let json = null;
+    if (/json/.test(response.headers.get('content-type') || '')) {
+      try {
+        json = JSON.parse(text);
+      } catch {
+        // E.g. a proxy's error page cut short; the status says more than the body
+        throw new CliError(`Invalid JSON from ${base} (HTTP ${response.status})`);
+      }
+    }
+    if (!response.ok) throw new CliError(json?.error || text.trim() || `HTTP ${response.status}`, json?.details);
+    return { json, text, headers: response.headers };
+  };
+
+  return {
+    get: (pathname, query) => request('GET', pathname, { query }),
+    post: (pathname, body) => request('POST', pathname, { body }),
+    patch: (pathname, body) => request('PATCH', pathname, { body }),
+    delete: (pathname, query) => request('DELETE', pathname, { query })
+  };
+};
+
+const ref = (value) => encodeURIComponent(value);
+
+// The code of a snippet and the file name the server gives it (with the extension
+// of its language)
+const fetchCode = async (client, snippetRef) => {
+  const { text, headers } = await client.get(`/s/${ref(snippetRef)}/raw`);
+  const filename = /filename="([^"]+)"/.exec(headers.get('content-disposition') || '')?.[1];
+  return { code: text, filename: path.basename(filename || snippetRef) };
+};
+
+const describeSnippet = (s) => [
+  s.id,
+  (s.language || '').padEnd(12),
+  s.title || s.slug || '(untitled)',
+  s.tags?.length ? `[${s.tags.join(', ')}]` : ''
+].filter(Boolean).join('  ');
+
+const formatDetails = (details) => {
+  if (!details) return '';
+  if (Array.isArray(details)) return details.map(d => (typeof d === 'string' ? d : `${d.label} (line ${d.line})`)).join(', ');
+  return typeof details === 'string' ? details : JSON.stringify(details);
+};
+
+// Options every command takes
+const COMMON_OPTIONS = { json: { type: 'boolean' }, help: { type: 'boolean', short: 'h' } };
+
+const COMMANDS = {
+  config: {
+    options: { url: { type: 'string' }, key: { type: 'string' } },
+    run: async ({ values, env, print }) => {
+      const file = configPath(env);
+      if (values.url !== undefined || values.key !== undefined) {
+        const saved = readConfigFile(file);
+        writeConfig(env, { ...saved, ...(values.url !== undefined && { url: values.url }), ...(values.key !== undefined && { key: values.key }) });
+      }
+      const { url, key } = readConfig(env);
+      const shown = { file, url: url || null, key: key ? `${key.slice(0, 8)}…` : null };
+      print(shown, `Config file: ${shown.file}\nServer URL:  ${shown.url || '(not set)'}\nAPI key:     ${shown.key || '(not set)'}`);
+    }
+  },
+
+  // The language is the file extension unless --language is given; the server
+  // resolves extensions, and code with an unknown one is detected instead
+  push: {
+    options: {
+      id: { type: 'string' },
+      language: { type: 'string' },
+      title: { type: 'string' },
+      description: { type: 'string' },
+      tags: { type: 'string' },
+      slug: { type: 'string' }
+    },
+    positionals: ['file'],
+    run: async ({ client, values, args, print }) => {
+      if (args.file !== '-' && !fs.existsSync(args.file)) throw new CliError(`No such file: ${args.file}`);
+      const code = fs.readFileSync(args.file === '-' ? 0 : args.file, 'utf8');
+      const extension = args.file === '-' ? '' : path.extname(args.file);
+      const fields = {
+        code,
+        ...(values.title !== undefined && { title: values.title }),
+        ...(values.description !== undefined && { description: values.description }),
+        ...(values.tags !== undefined && { tags: values.tags }),
+        ...(values.slug !== undefined && { slug: values.slug })
+      };
+      const language = values.language || extension || undefined;
+      const save = async (withLanguage) => {
+        if (values.id) {
+          return (await client.patch(`/api/snippets/${ref(values.id)}`, { ...fields, ...(withLanguage && { language }) })).json.data;
+        }
+        return (await client.post('/api/snippets', { ...fields, ...(withLanguage && { language }), detect: true })).json.data;
+      };
+      let snippet;
+      try {
+        snippet = await save(Boolean(language));
+      } catch (err) {
+        if (values.language || !language || err.message !== 'Unknown language') throw err;
+        snippet = await save(false);
+      }
+      const verb = values.id ? 'Updated' : 'Created';
+      const findings = snippet.secret_findings?.length ? `\nWarning: possible credentials: ${formatDetails(snippet.secret_findings)}` : '';
+      print(snippet, `${verb} ${snippet.id} (${snippet.language})${snippet.url ? ` ${snippet.url}` : ''}${findings}`);
+    }
+  },
+
+  pull: {
+    options: { output: { type: 'string', short: 'o' } },
+    positionals: ['ref'],
+    run: async ({ client, values, args, print, stdout }) => {
+      const { code, filename } = await fetchCode(client, args.ref);
+      if (!values.output) {
+        if (values.json) return print({ ...(await client.get(`/api/snippets/${ref(args.ref)}`)).json, filename });
+        return stdout.write(code);
+      }
+      const target = fs.existsSync(values.output) && fs.statSync(values.output).isDirectory()
+        ? path.join(values.output, filename)
+        : values.output;
+      fs.writeFileSync(target, code);
+      print({ ref: args.ref, file: target }, `Saved ${target}`);
+    }
+  },
+
+  ls: {
+    options: {
+      language: { type: 'string' },
+      tag: { type: 'string' },
+      sort: { type: 'string' },
+      order: { type: 'string' },
+      page: { type: 'string' },
+      'per-page': { type: 'string' },
+      all: { type: 'boolean' }
+    },
+    run: async ({ client, values, print }) => listSnippets(client, values, {}, print)
+  },
+
+  search: {
+    options: {
+      language: { type: 'string' },
+      tag: { type: 'string' },
+      page: { type: 'string' },
+      'per-page': { type: 'string' },
+      all: { type: 'boolean' }
+    },
+    positionals: ['query'],
+    variadic: true,
+    run: async ({ client, values, args, print }) => listSnippets(client, values, { q: args.query }, print)
+  },
+
+  edit: {
+    positionals: ['ref'],
+    run: async ({ client, args, env, print }) => {
+      const { code, filename } = await fetchCode(client, args.ref);
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snip-'));
+      const file = path.join(dir, filename);
+      try {
+        fs.writeFileSync(file, code);
+        // EDITOR may carry arguments ("code --wait"), so it goes through the shell.
+        // The file is its $1 rather than part of the command (spawn's shell option
+        // would paste it in), so nothing in the name runs as shell syntax.
+        const editor = env.VISUAL || env.EDITOR || 'vi';
+        const result = spawnSync('/bin/sh', ['-c', `${editor} "$1"`, 'snip', file], { stdio: 'inherit' });
+        if (result.status !== 0) throw new CliError(`${editor} exited with ${result.status ?? result.signal}; nothing saved`);
+        const edited = fs.readFileSync(file, 'utf8');
+        if (edited === code) return print({ ref: args.ref, changed: false }, 'No changes');
+        const snippet = (await client.patch(`/api/snippets/${ref(args.ref)}`, { code: edited })).json.data;
+        print({ ...snippet, changed: true }, `Updated ${snippet.id}`);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    }
+  },
+
+  rm: {
+    options: { permanent: { type: 'boolean' } },
+    positionals: ['ref'],
+    run: async ({ client, values, args, print }) => {
+      const { json } = await client.delete(`/api/snippets/${ref(args.ref)}`, values.permanent ? { permanent: 'true' } : {});
+      print(json, json.purge_at ? `${json.message}; it will be purged ${json.purge_at}` : json.message);
+    }
+  }
+};
+
+// ls and search share the listing endpoint. --all follows links.next to the end.
+const listSnippets = async (client, values, query, print) => {
+  const params = {
+    ...query,
+    language: values.language,
+    tag: values.tag,
+    sort: values.sort,
+    order: values.order,
+    page: values.page,
+    per_page: values['per-page'] || (values.all ? '100' : undefined)
+  };
+  let page = (await client.get('/api/snippets', params)).json;
+  const snippets = [...page.data];
+  while (values.all && page.links.next) {
+    page = (await client.get('/api/snippets', { ...params, page: page.page + 1 })).json;
+    snippets.push(...page.data);
+  }
+  const summary = values.all || page.pages <= 1 ? `${page.total} snippet(s)` : `page ${page.page} of ${page.pages}, ${page.total} snippet(s)`;
+  print(
+    values.all ? { data: snippets, total: page.total } : page,
+    [...snippets.map(describeSnippet), summary].join('\n')
+  );
+};
+
+// Runs one command line and returns the exit code
+const runCli = async (argv, { env = process.env, stdout = process.stdout, stderr = process.stderr } = {}) => {
+  const [name, ...rest] = argv;
+  const command = COMMANDS[name];
+  if (!command) {
+    if (name && !['help', '--help', '-h'].includes(name)) stderr.write(`snip: unknown command "${name}"\n\n`);
+    stderr.write(USAGE + '\n');
+    return name && !['help', '--help', '-h'].includes(name) ? 1 : 0;
+  }
+
+  let values = {};
+  try {
+    const parsed = parseArgs({ args: rest, options: { ...COMMON_OPTIONS, ...command.options }, allowPositionals: true });
+    values = parsed.values;
+    if (values.help) {
+      stdout.write(USAGE + '\n');
+      return 0;
+    }
+    const expected = command.positionals || [];
+    if (parsed.positionals.length < expected.length || (!command.variadic && parsed.positionals.length > expected.length)) {
+      throw new CliError(`Usage: snip ${name} ${expected.map(p => `<${p}>`).join(' ')}`.trim());
+    }
+    const args = Object.fromEntries(expected.map((p, i) => [p, command.variadic && i === expected.length - 1
+      ? parsed.positionals.slice(i).join(' ')
+      : parsed.positionals[i]]));
+    const print = (data, text = data) => stdout.write(values.json
+      ? JSON.stringify(data, null, 2) + '\n'
+      : (typeof text === 'string' ? text : JSON.stringify(text, null, 2)) + '\n');
+    const client = name === 'config' ? null : createClient(readConfig(env));
+    await command.run({ client, values, args, env, print, stdout });
+    return 0;
+  } catch (err) {
+    if (!(err instanceof CliError) && !err.code?.startsWith('ERR_PARSE_ARGS')) throw err;
+    if (values.json) {
+      stderr.write(JSON.stringify({ error: err.message, details: err.details ?? null }, null, 2) + '\n');
+    } else {
+      // Some API details already repeat the error ("Unknown language \"x\". Known ...")
+      const details = formatDetails(err.details);
+      const message = !details ? err.message : details.startsWith(err.message) ? details : `${err.message}: ${details}`;
+      stderr.write(`snip: ${message}\n`);
+    }
+    return 1;
+  }
+};
+
+module.exports = { runCli };
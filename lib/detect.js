@@ -0,0 +1,99 @@
+const hljs = require('highlight.js');
+
+// Languages detection may pick; anything else stays plaintext
+const DETECTABLE_LANGUAGES = ['sql', 'powershell', 'bash', 'python', 'javascript', 'markdown'];
+
+// Long snippets are judged on their start; a few kB is plenty of evidence
+const MAX_DETECT_LENGTH = 20000;
+
+// Below this score there is too little evidence to suggest anything
+const MIN_SCORE = 3;
+
+// [pattern, weight] pairs; each pattern counts once. hljs on its own confuses
+// the languages we use most (short SQL reads as PowerShell or Bash, `$x = ...`
+// as Perl-ish Bash), so these markers carry most of the decision.
+const HEURISTICS = {
+  sql: [
+    [/\bselect\b[\s\S]+?\bfrom\b/i, 4],
+    [/\b(insert\s+into|update\s+\w+\s+set|delete\s+from|merge\s+into)\b/i, 4],
+    [/\b(create|alter|drop|truncate)\s+(table|index|view|procedure|function|sequence|user|database|schema)\b/i, 4],
+    [/\b(where|group\s+by|order\s+by|having|(inner|left|right|full|cross)\s+join)\b/i, 2],
+    [/^\s*--/m, 1],
+    [/\b(dual|v\$\w+|dba_\w+|pg_\w+|information_schema)\b/i, 2],
+    [/;\s*$/m, 1]
+  ],
+  powershell: [
+    [/\b(Get|Set|New|Remove|Add|Clear|Invoke|Write|Read|Start|Stop|Restart|Import|Export|Test|Select|Where|ForEach|Sort|Format|Out|ConvertTo|ConvertFrom|Measure|Enable|Disable)-[A-Z][A-Za-z]+/, 4],
+    [/^\s*\$[\w:]+\s*=/m, 2],
+    [/\$_\b|\$PSItem\b|\$env:\w+|\$PSScriptRoot\b/i, 3],
+    [/\bparam\s*\(/i, 2],
+    [/\[(string|int|switch|bool|datetime|pscustomobject|hashtable)\]/i, 2],
+    [/\s-(eq|ne|gt|lt|ge|le|like|notlike|match|contains|and|or|not)\s/i, 1],
+    [/@\{|@\(/, 1]
+  ],
+  bash: [
+    [/^#!.*\b(ba|z|k)?sh\b/m, 6],
+    [/^\s*(sudo|apt|apt-get|yum|dnf|systemctl|journalctl|export|echo|cd|ls|grep|awk|sed|chmod|chown|curl|wget|tar|ssh|scp|rsync|docker|kubectl|mkdir|rm|cp|mv|ps|kill|cat|find|tail|du|df)\b/m, 3],
+    [/^\s*(fi|done|esac)\b|\bthen\s*$/m, 3],
+    [/\|\s*(grep|awk|sed|xargs|sort|uniq|wc|head|tail|cut|tr)\b/, 2],
+    [/\s(&&|\|\|)\s|\s2>&1|>\s*\/dev\/null/, 1],
+    [/\$\{\w+[^}]*\}|"\$\w+"/, 1]
+  ],
+  python: [
+    [/^\s*def \w+\s*\(.*\)\s*(->\s*[\w[\], .]+)?:/m, 4],
+    [/^\s*(import [\w.]+(\s+as \w+)?|from [\w.]+ import \S)\s*$/m, 3],
+    [/^\s*(if|elif|else|for|while|with|try|except|finally|class)\b.*:\s*$/m, 2],
+    [/\bself\.\w+/, 2],
+    [/__name__|__init__|\bNone\b/, 2],
+    [/\bprint\(/, 1]
+  ],
+  javascript: [
+    [/\b(const|let|var)\s+[\w${}[\], ]+\s*=/, 2],
+    [/=>/, 2],
+    [/\bconsole\.\w+\(/, 3],
+    [/\brequire\(['"]|^\s*import .+ from ['"]|\bmodule\.exports\b|^\s*export (default|const|function|class)\b/m, 3],
+    [/\b(document|window)\.\w+/, 2],
+    [/===|!==/, 2],
+    [/\bfunction\s*\w*\s*\([^)]*\)\s*\{/, 2]
+  ],
+  markdown: [
+    [/^```/m, 3],
+    [/^#{1,6}\s+\S/m, 1],
+    [/\[[^\]]+\]\([^)\s]+\)/, 2],
+    [/^\s*[-*]\s+\S/m, 1],
+    [/^\s*\d+\.\s+\S/m, 1],
+    [/\*\*[^*\n]+\*\*/, 1],
+    [/^>\s/m, 1]
+  ]
+};
+
+// hljs relevance grows with snippet length, so its vote is capped
+const HLJS_MAX_VOTE = 4;
+
+const hljsVote = (result) => Math.min(result.relevance || 0, 2 * HLJS_MAX_VOTE) / 2;
+
+// Guesses the language of a snippet. Returns { language, confidence } with a
+// confidence between 0 and 1, or { language: null, confidence: 0 } when there
+// is not enough to go on.
+const detectLanguage = (code) => {
+  const text = String(code || '').slice(0, MAX_DETECT_LENGTH);
+  if (!text.trim()) return { language: null, confidence: 0 };
+
+  const scores = {};
+  for (const language of DETECTABLE_LANGUAGES) {
+    scores[language] = HEURISTICS[language].reduce((sum, [pattern, weight]) => sum + (pattern.test(text) ? weight : 0), 0);
+  }
+  const auto = hljs.highlightAuto(text, DETECTABLE_LANGUAGES);
+  if (auto.language) scores[auto.language] += hljsVote(auto);
+  if (auto.secondBest?.language) scores[auto.secondBest.language] += hljsVote(auto.secondBest) / 2;
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [language, best] = ranked[0];
+  if (best < MIN_SCORE) return { language: null, confidence: 0 };
+  const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+  // Share of the total evidence, discounted while there is little evidence overall
+  const confidence = (best / total) * Math.min(1, best / (2 * MIN_SCORE));
+  return { language, confidence: Math.round(confidence * 100) / 100 };
+};
+
+module.exports = { detectLanguage };
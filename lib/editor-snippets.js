@@ -0,0 +1,249 @@
+const { writeChunk, endStream } = require('./archive');
+
+// Editor snippet files. Their prefix (VS Code) or abbreviation (JetBrains) is the
+// snippet's slug or id, so a file exported from here and imported again finds
+// the snippets it came from.
+
+// VS Code language ids that differ from the Monaco ones in the registry, and the
+// VS Code ids the registry does not know as aliases
+const VSCODE_IDS = { shell: 'shellscript' };
+const VSCODE_LANGUAGES = { shellscript: 'bash', javascriptreact: 'javascript' };
+
+// JetBrains live template contexts. The first one of a language is used on export;
+// languages without one export their id in upper case. Imports ignore case.
+const JETBRAINS_CONTEXTS = {
+  plaintext: ['OTHER'],
+  sql: ['SQL'],
+  powershell: ['POWERSHELL'],
+  javascript: ['JAVA_SCRIPT', 'JS_STATEMENT', 'JS_EXPRESSION'],
+  python: ['Python'],
+  bash: ['SHELL_SCRIPT'],
+  markdown: ['MARKDOWN']
+};
+const JETBRAINS_LANGUAGES = Object.fromEntries(
+  Object.entries(JETBRAINS_CONTEXTS).flatMap(([language, contexts]) => contexts.map(context => [context.toUpperCase(), language]))
+);
+
+const prefixOf = (snippet) => snippet.slug || snippet.id;
+
+// Editor prefixes become slugs: "selAll" and "Select all" turn into "selall" and "select-all"
+const slugFromPrefix = (prefix) => String(prefix || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80) || null;
+
+// Snippet titles are the keys of a VS Code file, so repeats get the id added
+const uniqueName = (names, snippet) => {
+  let name = snippet.title || prefixOf(snippet);
+  if (names.has(name)) name = `${name} (${snippet.id})`;
+  names.add(name);
+  return name;
+};
+
+const vscodeScope = (language, registry) => {
+  const entry = registry.resolve(language);
+  if (!entry) return language;
+  // A custom language without a Monaco mode is better named by its own id
+  if (entry.monaco === 'plaintext' && entry.id !== 'plaintext') return entry.id;
+  return VSCODE_IDS[entry.monaco] || entry.monaco;
+};
+
+// "$" and "\" are snippet syntax in VS Code bodies, so the code is escaped to insert as written
+const escapeVSCodeBody = (code) => code.replace(/[$\\]/g, '\\$&').split(/\r?\n/);
+
+// Streams snippets as one .code-snippets JSON object
+const writeVSCodeSnippets = async (output, snippets, registry) => {
+  const names = new Set();
+  let separator = '{\n';
+  for await (const snippet of snippets) {
+    const entry = {
+      prefix: prefixOf(snippet),
+      body: escapeVSCodeBody(snippet.code),
+      ...(snippet.description && { description: snippet.description }),
+      scope: vscodeScope(snippet.language, registry)
+    };
+    const json = JSON.stringify(entry, null, 2).replace(/\n/g, '\n  ');
+    await writeChunk(output, `${separator}  ${JSON.stringify(uniqueName(names, snippet))}: ${json}`);
+    separator = ',\n';
+  }
+  await writeChunk(output, separator === '{\n' ? '{}\n' : '\n}\n');
+  return endStream(output);
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/\n/g, '&#10;')
+  .replace(/\r/g, '&#13;')
+  .replace(/\t/g, '&#9;');
+
+// Streams snippets as a JetBrains template set. "$$" is a literal "$" in a
+// template; single ones mark variables.
+const writeJetBrainsTemplates = async (output, snippets, registry) => {
+  await writeChunk(output, '<templateSet group="Snippets">\n');
+  for await (const snippet of snippets) {
+    const language = registry.normalize(snippet.language) || snippet.language;
+    const context = JETBRAINS_CONTEXTS[language]?.[0] || language.toUpperCase();
+    const description = snippet.title || snippet.description || '';
+    await writeChunk(output,
+      `  <template name="${escapeXml(prefixOf(snippet))}" value="${escapeXml(snippet.code.replace(/\$/g, '$$$$'))}" ` +
+      `description="${escapeXml(description)}" toReformat="false" toShortenFQNames="true">\n` +
+      `    <context>\n      <option name="${escapeXml(context)}" value="true" />\n    </context>\n  </template>\n`);
+  }
+  await writeChunk(output, '</templateSet>\n');
+  return endStream(output);
+};
+
+// .code-snippets files are JSON with comments and trailing commas
+const parseJsonc = (text) => {
+  let json = '';
+  let inString = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      json += char;
+      if (char === '\\') json += text[++i] ?? '';
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+      json += char;
+    } else if (char === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      json += '\n';
+    } else if (char === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 1;
+    } else {
+      // Outside strings, so a comma right before a closing bracket is a trailing one
+      if (char === '}' || char === ']') json = json.replace(/,\s*$/, '');
+      json += char;
+    }
+  }
+  return JSON.parse(json);
+};
+
+// Turns a VS Code body back into plain code. Placeholders and choices become
+// their default text, tabstops disappear and escaped characters lose their
+// backslash. Variables are kept as written, since "$HOME" in a shell snippet is
+// far more likely than a snippet variable.
+const plainVSCodeBody = (body, start = 0, nested = false) => {
+  let text = '';
+  let i = start;
+  while (i < body.length) {
+    const rest = body.slice(i);
+    let match;
+    if (/^\\[$}\\]/.test(rest)) {
+      text += rest[1];
+      i += 2;
+    } else if (nested && rest[0] === '}') {
+      return [text, i + 1];
+    } else if ((match = /^\$(?:\d+|\{\d+\})/.exec(rest))) {
+      i += match[0].length;
+    } else if ((match = /^\$\{\d+\|((?:[^|\\]|\\.)*)\|\}/.exec(rest))) {
+      text += match[1].split(/(?<!\\),/)[0].replace(/\\(.)/g, '$1');
+      i += match[0].length;
+    } else if ((match = /^\$\{(?:\d+|[A-Za-z_]\w*):/.exec(rest))) {
+      const [inner, next] = plainVSCodeBody(body, i + match[0].length, true);
+      text += inner;
+      i = next;
+    } else {
+      text += rest[0];
+      i++;
+    }
+  }
+  return [text, i];
+};
+
+// The first scope or context the registry knows, or the fallback language
+const mapLanguage = (names, registry, fallback, table) => {
+  for (const name of names) {
+    const listed = [name, name.toUpperCase()].find(key => Object.hasOwn(table, key));
+    const language = listed ? table[listed] : registry.normalize(name);
+    if (language) return language;
+  }
+  return fallback;
+};
+
+// A parsed VS Code file: an object of named snippets, each with a body. JSON
+// Lines records, which have code instead, never match.
+const isVSCodeSnippets = (data) => !!data && typeof data === 'object' && !Array.isArray(data) && !('code' in data) &&
+  Object.values(data).every(value => value && typeof value === 'object' && 'body' in value);
+
+const readVSCodeSnippets = (data, { registry, defaultLanguage }) => Object.entries(data).map(([name, entry]) => {
+  const body = Array.isArray(entry.body) ? entry.body.join('\n') : entry.body;
+  if (typeof body !== 'string' || (Array.isArray(entry.body) && entry.body.some(line => typeof line !== 'string'))) {
+    return { file: name, error: '"body" must be a string or a list of strings' };
+  }
+  const prefix = slugFromPrefix(Array.isArray(entry.prefix) ? entry.prefix[0] : entry.prefix) || slugFromPrefix(name);
+  const scopes = typeof entry.scope === 'string' ? entry.scope.split(',').map(scope => scope.trim()).filter(Boolean) : [];
+  return {
+    file: name,
+    prefix,
+    record: {
+      slug: prefix,
+      title: name,
+      description: typeof entry.description === 'string' ? entry.description : null,
+      language: mapLanguage(scopes, registry, defaultLanguage, VSCODE_LANGUAGES),
+      code: plainVSCodeBody(body)[0]
+    }
+  };
+});
+
+const decodeXml = (value) => value.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (entity, name) => {
+  if (name[0] === '#') return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+  return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[name.toLowerCase()];
+});
+
+const xmlAttributes = (source) => Object.fromEntries(
+  [...source.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)].map(([, name, double, single]) => [name, decodeXml(double ?? single)])
+);
+
+// Live templates only need their <template> elements, so a full XML parser is not
+// needed; anything else in the file is ignored. $END$ and $SELECTION$ are
+// dropped, other variables take their default value when it is a plain string.
+const readJetBrainsTemplates = (text, { registry, defaultLanguage }) => {
+  const source = text.replace(/<!--[\s\S]*?-->/g, '');
+  return [...source.matchAll(/<template\b(?!Set)([^>]*?)(?:\/>|>([\s\S]*?)<\/template>)/g)].map(([, attributeText, inner = ''], index) => {
+    const attributes = xmlAttributes(attributeText);
+    const file = attributes.name || `template ${index + 1}`;
+    if (typeof attributes.value !== 'string') return { file, error: 'Missing "value"' };
+    const defaults = Object.fromEntries([...inner.matchAll(/<variable\b([^>]*?)\/?>/g)]
+      .map(([, variable]) => xmlAttributes(variable))
+      .map(variable => [variable.name, /^"(.*)"$/.exec(variable.defaultValue || '')?.[1]]));
+    const code = attributes.value.replace(/\$\$|\$(\w+)\$/g, (match, name) => {
+      if (!name) return '$';
+      if (name === 'END' || name === 'SELECTION') return '';
+      return defaults[name] ?? name;
+    });
+    const contexts = [...inner.matchAll(/<option\b([^>]*?)\/?>/g)]
+      .map(([, option]) => xmlAttributes(option))
+      .filter(option => option.value === 'true' && option.name)
+      .map(option => option.name);
+    const prefix = slugFromPrefix(attributes.name);
+    return {
+      file,
+      prefix,
+      record: {
+        slug: prefix,
+        title: attributes.description || attributes.name || null,
+        language: mapLanguage(contexts, registry, defaultLanguage, JETBRAINS_LANGUAGES),
+        code
+      }
+    };
+  });
+};
+
+// Entries like readSnippetExport's for a VS Code or JetBrains file, or null when
+// the text is neither
+const readEditorSnippets = (text, options) => {
+  if (/^\s*</.test(text)) return readJetBrainsTemplates(text, options);
+  if (!/^\s*\{/.test(text)) return null;
+  let data;
+  try {
+    data = parseJsonc(text);
+  } catch {
+    return null;
+  }
+  return isVSCodeSnippets(data) ? readVSCodeSnippets(data, options) : null;
+};
+
+module.exports = { writeVSCodeSnippets, writeJetBrainsTemplates, readEditorSnippets };
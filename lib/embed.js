@@ -0,0 +1,128 @@
+const { escapeHtml } = require('./html');
+
+// Parses a ?lines= value such as "12", "12-30" or "12-" into a 1-based, inclusive
+// range clamped to the snippet. Returns null when the value is not a valid range.
+const parseLineRange = (value, lineCount) => {
+  if (value === undefined || value === '') return { start: 1, end: lineCount };
+  const match = /^(\d+)(?:-(\d*))?$/.exec(String(value).trim());
+  if (!match) return null;
+  const start = parseInt(match[1], 10);
+  const end = match[2] === undefined ? start : (match[2] ? parseInt(match[2], 10) : lineCount);
+  if (start < 1 || end < start || start > lineCount) return null;
+  return { start, end: Math.min(end, lineCount) };
+};
+
+// Splits highlight.js output into one HTML string per line. hljs spans may cover
+// several lines (block comments, multi-line strings), so spans still open at a
+// line break are closed there and reopened on the next line.
+const splitHighlightedLines = (html) => {
+  const lines = [];
+  const open = [];
+  let current = '';
+  for (const token of html.split(/(<span[^>]*>|<\/span>|\n)/)) {
+    if (token === '\n') {
+      lines.push(current + '</span>'.repeat(open.length));
+      current = open.join('');
+    } else {
+      if (token.startsWith('<span')) open.push(token);
+      else if (token === '</span>') open.pop();
+      current += token;
+    }
+  }
+  lines.push(current + '</span>'.repeat(open.length));
+  if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+  return lines;
+};
+
+// Everything is scoped under .snip-embed so the fragment can be dropped into any
+// page without pulling in a stylesheet or leaking styles into the host.
+const EMBED_STYLES = `
+  .snip-embed { background: #1e1e1e; color: #dcdcdc; border: 1px solid #333; border-radius: 6px; overflow: hidden; font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; font-size: 14px; text-align: left; }
+  .snip-embed-header { display: flex; align-items: center; gap: 0.6em; padding: 0.4em 0.8em; background: #252526; border-bottom: 1px solid #333; }
+  .snip-embed-header a { color: #7ecfff; text-decoration: none; font-weight: bold; flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .snip-embed-lang { color: #999; font-size: 0.85em; }
+  .snip-embed-copy { background: #007acc; color: #fff; border: none; border-radius: 3px; padding: 0.2em 0.7em; font-size: 0.85em; cursor: pointer; }
+  .snip-embed pre { margin: 0; padding: 0.8em 1em; overflow-x: auto; background: none; border: none; }
+  .snip-embed code { display: block; font-family: Consolas, Menlo, monospace; font-size: 13px; line-height: 1.5; background: none; color: inherit; white-space: pre; }
+  .snip-embed .line-numbers .line::before { content: attr(data-line); display: inline-block; width: 3em; margin: 0 1em 0 -1em; text-align: right; color: #666; user-select: none; }
+  .snip-embed-markdown { padding: 0 1em; line-height: 1.6; }
+  .snip-embed-markdown pre { background: #252526; border-radius: 4px; }
+  .snip-embed-markdown a { color: #7ecfff; }
+  .snip-embed .hljs-keyword, .snip-embed .hljs-literal, .snip-embed .hljs-symbol, .snip-embed .hljs-name { color: #569cd6; }
+  .snip-embed .hljs-built_in, .snip-embed .hljs-type { color: #4ec9b0; }
+  .snip-embed .hljs-number, .snip-embed .hljs-class { color: #b8d7a3; }
+  .snip-embed .hljs-string { color: #d69d85; }
+  .snip-embed .hljs-regexp, .snip-embed .hljs-template-tag { color: #9a5334; }
+  .snip-embed .hljs-comment, .snip-embed .hljs-quote { color: #57a64a; font-style: italic; }
+  .snip-embed .hljs-meta, .snip-embed .hljs-tag { color: #9b9b9b; }
+  .snip-embed .hljs-variable, .snip-embed .hljs-template-variable { color: #bd63c5; }
+  .snip-embed .hljs-attr, .snip-embed .hljs-attribute, .snip-embed .hljs-property { color: #9cdcfe; }
+  .snip-embed .hljs-title, .snip-embed .hljs-section { color: #dcdcaa; }
+  .snip-embed .hljs-emphasis { font-style: italic; }
+  .snip-embed .hljs-strong { font-weight: bold; }
+`;
+
+// Copy buttons need script, which innerHTML never runs, so both the loader and
+// the iframe page bind them with this snippet of browser code.
+const BIND_COPY_BUTTONS = `function bindCopyButtons(root) {
+  root.querySelectorAll('.snip-embed-copy').forEach(function (button) {
+    button.addEventListener('click', function () {
+      var code = button.closest('.snip-embed').querySelector('code');
+      navigator.clipboard.writeText(code.textContent).then(function () {
+        button.textContent = 'Copied';
+        setTimeout(function () { button.textContent = 'Copy'; }, 1500);
+      });
+    });
+  });
+}`;
+
+// Served as /embed.js. Each <script data-snippet="..."> tag is replaced by the
+// widget, fetched from the server the script itself was loaded from:
+//   <script src="https://snippets.example.com/embed.js" data-snippet="k3j9x2m4pq"
+//           data-lines="3-12" data-line-numbers async></script>
+const EMBED_LOADER = `(function () {
+  var script = document.currentScript;
+  if (!script || !script.dataset.snippet) return;
+  ${BIND_COPY_BUTTONS.replace(/\n/g, '\n  ')}
+  var params = new URLSearchParams();
+  if (script.dataset.lines) params.set('lines', script.dataset.lines);
+  if ('lineNumbers' in script.dataset) params.set('line_numbers', '1');
+  if (script.dataset.copy === 'false') params.set('copy', '0');
+  var container = document.createElement('div');
+  script.parentNode.insertBefore(container, script.nextSibling);
+  fetch(new URL(script.src).origin + '/embed/' + encodeURIComponent(script.dataset.snippet) + '?' + params)
+    .then(function (res) {
+      if (!res.ok) throw new Error(res.status);
+      return res.text();
+    })
+    .then(function (html) {
+      container.innerHTML = html;
+      bindCopyButtons(container);
+    })
+    .catch(function () {
+      container.textContent = 'Snippet ' + script.dataset.snippet + ' could not be loaded.';
+    });
+})();
+`;
+
+// Self-contained widget markup. `lines` are highlighted HTML lines for code
+// snippets; `markdown` is rendered HTML for Markdown snippets.
+const renderEmbedFragment = ({ snippet, url, lines, start, markdown, lineNumbers, copyButton }) => `<div class="snip-embed">
+<style>${EMBED_STYLES}</style>
+<div class="snip-embed-header">
+<a href="${escapeHtml(url)}" target="_blank" rel="noopener">${escapeHtml(snippet.title || snippet.id)}</a>
+<span class="snip-embed-lang">${escapeHtml(snippet.language)}</span>
+${copyButton && !markdown ? '<button type="button" class="snip-embed-copy">Copy</button>' : ''}
+</div>
+${markdown
+  ? `<div class="snip-embed-markdown">${markdown}</div>`
+  : `<pre${lineNumbers ? ' class="line-numbers"' : ''}><code>${lines.map((line, i) => `<span class="line" data-line="${start + i}">${line}</span>`).join('\n')}</code></pre>`}
+</div>`;
+
+module.exports = {
+  parseLineRange,
+  splitHighlightedLines,
+  renderEmbedFragment,
+  BIND_COPY_BUTTONS,
+  EMBED_LOADER
+};
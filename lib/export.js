@@ -0,0 +1,134 @@
+const { archiveType, createArchiveWriter, readArchive, writeChunk, endStream } = require('./archive');
+const { writeVSCodeSnippets, writeJetBrainsTemplates, readEditorSnippets } = require('./editor-snippets');
+
+// Download formats: backups and migrations between servers, and editor snippet files
+const EXPORT_FORMATS = {
+  jsonl: { label: 'JSON Lines', extension: '.jsonl', contentType: 'application/x-ndjson' },
+  tar: { label: 'tar.gz', extension: '.tar.gz', contentType: 'application/gzip' },
+  zip: { label: 'zip', extension: '.zip', contentType: 'application/zip' },
+  vscode: { label: 'VS Code', extension: '.code-snippets', contentType: 'application/json' },
+  jetbrains: { label: 'JetBrains', extension: '.xml', contentType: 'application/xml' }
+};
+
+const MANIFEST_NAME = 'manifest.json';
+const MANIFEST_FORMAT = 'snippet-manager-export';
+
+// Ids as generated by this server; imports keep them so links stay valid
+const EXPORT_ID_PATTERN = /^[a-z0-9]{4,40}$/;
+
+// What an export keeps of a snippet: its content and metadata, not server state
+// such as the owner, revisions or secret findings
+const toExportRecord = (snippet) => ({
+  id: snippet.id,
+  slug: snippet.slug || null,
+  title: snippet.title || null,
+  description: snippet.description || null,
+  language: snippet.language,
+  tags: snippet.tags || [],
+  timestamp: new Date(snippet.timestamp).toISOString(),
+  embeddable: !!snippet.embeddable,
+  code: snippet.code
+});
+
+// Streams snippets (any async iterable) to output. JSON Lines holds one record per
+// line. Archives hold each snippet's code as a file named by fileName(snippet)
+// and, written last, a manifest with the other fields and the file of each snippet.
+// Editor files map languages to editor scopes through the language registry.
+const writeSnippetExport = async (format, output, snippets, { fileName, registry }) => {
+  if (format === 'vscode') return writeVSCodeSnippets(output, snippets, registry);
+  if (format === 'jetbrains') return writeJetBrainsTemplates(output, snippets, registry);
+  if (format === 'jsonl') {
+    for await (const snippet of snippets) await writeChunk(output, `${JSON.stringify(toExportRecord(snippet))}\n`);
+    return endStream(output);
+  }
+  const archive = createArchiveWriter(format, output);
+  const manifest = [];
+  const names = new Set();
+  for await (const snippet of snippets) {
+    const { code, ...record } = toExportRecord(snippet);
+    let file = `snippets/${fileName(snippet)}`;
+    // A slug can equal another snippet's id; the id keeps both files
+    if (names.has(file)) file = `snippets/${snippet.id}-${fileName(snippet)}`;
+    names.add(file);
+    await archive.add(file, code, new Date(record.timestamp));
+    manifest.push({ ...record, file });
+  }
+  await archive.add(MANIFEST_NAME, JSON.stringify({
+    format: MANIFEST_FORMAT,
+    version: 1,
+    exported_at: new Date().toISOString(),
+    count: manifest.length,
+    snippets: manifest
+  }, null, 2));
+  await archive.finish();
+};
+
+const parseJsonLines = (text) => text.split('\n')
+  .map((line, index) => ({ line: line.trim(), file: `line ${index + 1}` }))
+  .filter(({ line }) => line)
+  .map(({ line, file }) => {
+    try {
+      return { file, record: JSON.parse(line) };
+    } catch (err) {
+      return { file, error: `Invalid JSON: ${err.message}` };
+    }
+  });
+
+// Reads an uploaded export into entries of { file, record } or { file, error };
+// file names the line, archive member or editor snippet the entry came from.
+// Editor snippets also carry their prefix and take defaultLanguage when their
+// scope is not a known language. Throws when the upload cannot be read at all.
+const readSnippetExport = (buffer, { registry, defaultLanguage = 'plaintext' } = {}) => {
+  if (!archiveType(buffer)) {
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    return readEditorSnippets(text, { registry, defaultLanguage }) || parseJsonLines(text);
+  }
+  const files = new Map(readArchive(buffer).map(file => [file.name, file.data]));
+  if (!files.has(MANIFEST_NAME)) throw new Error(`The archive has no ${MANIFEST_NAME}`);
+  let manifest;
+  try {
+    manifest = JSON.parse(files.get(MANIFEST_NAME).toString('utf8'));
+  } catch (err) {
+    throw new Error(`Invalid ${MANIFEST_NAME}: ${err.message}`);
+  }
+  if (!Array.isArray(manifest?.snippets)) throw new Error(`${MANIFEST_NAME} has no "snippets" list`);
+  return manifest.snippets.map((entry, index) => {
+    if (typeof entry?.file !== 'string') return { file: `manifest entry ${index + 1}`, error: 'Missing "file"' };
+    const { file, ...record } = entry;
+    if (!files.has(file)) return { file, error: 'File not found in the archive' };
+    return { file, record: { ...record, code: files.get(file).toString('utf8') } };
+  });
+};
+
+// Checks one record's fields and returns it cleaned up ({ snippet }) or { error }.
+// The language is not checked against the registry: like legacy imports, unknown
+// languages are kept as written.
+const validateExportRecord = (record) => {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) return { error: 'Not a snippet object' };
+  if (typeof record.code !== 'string' || !record.code.trim()) return { error: 'Missing "code"' };
+  if (typeof record.language !== 'string' || !record.language.trim()) return { error: 'Missing "language"' };
+  const field = ['id', 'slug', 'title', 'description', 'timestamp'].find(key => record[key] != null && typeof record[key] !== 'string');
+  if (field) return { error: `"${field}" must be a string` };
+  if (record.id && !EXPORT_ID_PATTERN.test(record.id)) return { error: `Invalid id "${record.id}"` };
+  if (record.tags != null && (!Array.isArray(record.tags) || record.tags.some(tag => typeof tag !== 'string'))) {
+    return { error: '"tags" must be a list of strings' };
+  }
+  if (record.embeddable != null && typeof record.embeddable !== 'boolean') return { error: '"embeddable" must be true or false' };
+  const timestamp = record.timestamp ? new Date(record.timestamp) : null;
+  if (timestamp && Number.isNaN(timestamp.getTime())) return { error: `Invalid timestamp "${record.timestamp}"` };
+  return {
+    snippet: {
+      id: record.id || null,
+      slug: record.slug || null,
+      title: record.title || null,
+      description: record.description || null,
+      language: record.language.trim(),
+      tags: record.tags || [],
+      timestamp: timestamp ? timestamp.toISOString() : null,
+      embeddable: !!record.embeddable,
+      code: record.code
+    }
+  };
+};
+
+module.exports = { EXPORT_FORMATS, writeSnippetExport, readSnippetExport, validateExportRecord };
@@ -0,0 +1,121 @@
+const hljs = require('highlight.js');
+
+// The built-in languages. Every form, editor, highlighter, download and API
+// validation reads from here; admins can add more at /admin/languages.
+//   id          stored on snippets
+//   name        shown in forms
+//   hljs        highlight.js language, null for none
+//   monaco      Monaco editor language
+//   extensions  file extensions, the first one is used for downloads
+//   aliases     other names accepted as input (matching is case-insensitive)
+//   mime        Content-Type for raw downloads
+const BUILTIN_LANGUAGES = [
+  { id: 'plaintext', name: 'Plain Text', hljs: null, monaco: 'plaintext', extensions: ['.txt'], aliases: ['text', 'txt', 'plain'], mime: 'text/plain' },
+  { id: 'sql', name: 'SQL', hljs: 'sql', monaco: 'sql', extensions: ['.sql'], aliases: ['plsql', 'tsql', 'psql'], mime: 'application/sql' },
+  { id: 'powershell', name: 'PowerShell', hljs: 'powershell', monaco: 'powershell', extensions: ['.ps1', '.psm1', '.psd1'], aliases: ['ps', 'ps1', 'pwsh', 'posh'], mime: 'text/x-powershell' },
+  { id: 'javascript', name: 'JavaScript', hljs: 'javascript', monaco: 'javascript', extensions: ['.js', '.mjs', '.cjs'], aliases: ['js', 'node', 'nodejs'], mime: 'text/javascript' },
+  { id: 'python', name: 'Python', hljs: 'python', monaco: 'python', extensions: ['.py'], aliases: ['py', 'python3'], mime: 'text/x-python' },
+  { id: 'bash', name: 'Bash', hljs: 'bash', monaco: 'shell', extensions: ['.sh', '.bash'], aliases: ['sh', 'shell', 'zsh'], mime: 'application/x-sh' },
+  { id: 'markdown', name: 'Markdown', hljs: 'markdown', monaco: 'markdown', extensions: ['.md', '.markdown'], aliases: ['md'], mime: 'text/markdown' }
+];
+
+const LANGUAGE_ID_PATTERN = /^[a-z0-9][a-z0-9+#._-]{0,29}$/;
+const MIME_PATTERN = /^[\w.+-]+\/[\w.+-]+$/;
+
+const normalizeExtension = (ext) => {
+  const value = String(ext).trim().toLowerCase();
+  return value && !value.startsWith('.') ? `.${value}` : value;
+};
+
+// Every name a language answers to: its id, display name, aliases and extensions
+const languageKeys = (language) => [
+  language.id,
+  language.name.toLowerCase(),
+  ...language.aliases.map(alias => alias.toLowerCase()),
+  ...language.extensions.flatMap(ext => [ext, ext.slice(1)])
+];
+
+// Checks a custom language definition against the registry and returns it
+// cleaned up ({ language }) or { error }.
+const validateCustomLanguage = (input, registry) => {
+  const split = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+  const language = {
+    id: String(input.id || '').trim().toLowerCase(),
+    name: String(input.name || '').trim(),
+    hljs: String(input.hljs || '').trim().toLowerCase() || null,
+    monaco: String(input.monaco || '').trim() || 'plaintext',
+    extensions: [...new Set(split(input.extensions).map(normalizeExtension))],
+    aliases: [...new Set(split(input.aliases).map(alias => alias.toLowerCase()))],
+    mime: String(input.mime || '').trim().toLowerCase() || 'text/plain'
+  };
+  if (!LANGUAGE_ID_PATTERN.test(language.id)) {
+    return { error: 'Language ids are up to 30 lowercase letters, digits or + # . _ -' };
+  }
+  if (!language.name) return { error: 'A display name is required' };
+  if (language.hljs && !hljs.getLanguage(language.hljs)) {
+    return { error: `highlight.js does not know the language "${language.hljs}"` };
+  }
+  if (!/^[\w.+#-]+$/.test(language.monaco)) return { error: `"${language.monaco}" is not a valid Monaco language id` };
+  if (!MIME_PATTERN.test(language.mime)) return { error: `"${language.mime}" is not a valid MIME type` };
+  // No "#": file names go into download links, where it would start the fragment
+  if (language.extensions.some(ext => !/^\.[\w+-]+$/.test(ext))) {
+    return { error: 'Extensions look like .ext, with letters, digits or _ + -' };
+  }
+  const taken = languageKeys(language).find(key => registry.resolve(key));
+  if (taken) return { error: `"${taken}" is already used by ${registry.resolve(taken).name}` };
+  return { language };
+};
+
+// Built-ins plus the custom languages loaded from storage. Lookups accept any
+// key of a language, so "PowerShell", "ps1" and ".ps1" all resolve to powershell.
+const createLanguageRegistry = () => {
+  let languages = BUILTIN_LANGUAGES;
+  let lookup = new Map();
+
+  const setCustomLanguages = (custom) => {
+    const builtinIds = new Set(BUILTIN_LANGUAGES.map(l => l.id));
+    languages = [
+      ...BUILTIN_LANGUAGES,
+      ...custom
+        .filter(l => !builtinIds.has(l.id))
+        .map(l => ({ ...l, custom: true }))
+        .sort((a, b) => a.name.localeCompare(b.name))
+    ];
+    lookup = new Map();
+    // Ids first so an alias can never shadow another language's id
+    for (const language of languages) lookup.set(language.id, language);
+    for (const language of languages) {
+      for (const key of languageKeys(language)) {
+        if (!lookup.has(key)) lookup.set(key, language);
+      }
+    }
+  };
+  setCustomLanguages([]);
+
+  const resolve = (input) => (input == null ? null : lookup.get(String(input).trim().toLowerCase()) || null);
+
+  return {
+    setCustomLanguages,
+    list: () => languages,
+    resolve,
+    // The registry id for a submitted language, or null if it is unknown
+    normalize: (input) => resolve(input)?.id ?? null,
+    // Snippets may still carry languages that are not registered. Those are
+    // downloaded as plain text but still highlighted if highlight.js knows them.
+    hljsLanguage: (id) => {
+      const language = resolve(id);
+      if (language) return language.hljs;
+      return id && hljs.getLanguage(id) ? id : null;
+    },
+    monacoLanguages: () => Object.fromEntries(languages.map(l => [l.id, l.monaco])),
+    fileType: (id) => {
+      const language = resolve(id) || resolve('plaintext');
+      return { extension: language.extensions[0] || '.txt', contentType: language.mime || 'text/plain' };
+    },
+    validateCustomLanguage: (input) => validateCustomLanguage(input, { resolve })
+  };
+};
+
+module.exports = { createLanguageRegistry };
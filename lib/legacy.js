@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+
+const LEGACY_EXTENSIONS = ['.md', '.json'];
+
+// Older versions wrote times with dashes so they could be used in filenames,
+// e.g. 2025-05-30T18-08-52-647Z. Plain ISO timestamps are accepted too.
+const LEGACY_TIMESTAMP = /(\d{4}-\d{2}-\d{2})T(\d{2})[-:](\d{2})[-:](\d{2})(?:[-.](\d{1,3}))?Z/;
+
+const parseLegacyTimestamp = (value) => {
+  const match = LEGACY_TIMESTAMP.exec(String(value || ''));
+  if (!match) return null;
+  const [, date, hours, minutes, seconds, millis = '0'] = match;
+  const parsed = new Date(`${date}T${hours}:${minutes}:${seconds}.${millis.padEnd(3, '0')}Z`);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString();
+};
+
+// "# Snippet <timestamp>" followed by a single fenced block whose info string is the language
+const parseMarkdownSnippet = (content) => {
+  const header = /^#\s*Snippet\s+(\S+)/m.exec(content);
+  if (!header || !LEGACY_TIMESTAMP.test(header[1])) throw new Error('Missing "# Snippet <timestamp>" header');
+  const open = /^```[ \t]*([^\s`]*)[^\n]*\n/m.exec(content);
+  if (!open) throw new Error('No fenced code block found');
+  let code = content.slice(open.index + open[0].length);
+  const close = code.lastIndexOf('```');
+  if (close === -1) throw new Error('Unterminated code block');
+  code = code.slice(0, close).replace(/\r?\n$/, '');
+  return {
+    language: open[1].toLowerCase() || 'plaintext',
+    code,
+    stamp: header[1]
+  };
+};
+
+const parseJsonSnippet = (content) => {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (err) {
+    throw new Error(`Invalid JSON: ${err.message}`);
+  }
+  if (!data || typeof data.code !== 'string') throw new Error('Missing "code" field');
+  return {
+    language: typeof data.language === 'string' && data.language ? data.language : 'plaintext',
+    code: data.code,
+    stamp: data.timestamp
+  };
+};
+
+// Parses one legacy snippet file. The timestamp comes from the file itself, then
+// its name, then modifiedAt. The stored filename follows the old `${timestamp}.json`
+// convention so re-importing the same file is recognised as a duplicate.
+const parseLegacyFile = (name, content, { modifiedAt } = {}) => {
+  const ext = path.extname(name).toLowerCase();
+  if (!LEGACY_EXTENSIONS.includes(ext)) throw new Error('Unsupported file type');
+  const parsed = ext === '.md' ? parseMarkdownSnippet(content) : parseJsonSnippet(content);
+  const timestamp = parseLegacyTimestamp(parsed.stamp) ||
+    parseLegacyTimestamp(path.basename(name)) ||
+    (modifiedAt ? new Date(modifiedAt).toISOString() : null);
+  if (!timestamp) throw new Error('No timestamp found');
+  return {
+    filename: `${timestamp}${ext}`,
+    language: parsed.language,
+    code: parsed.code,
+    timestamp
+  };
+};
+
+// Reads every legacy snippet file in a directory (or a single file) as
+// { name, content, modifiedAt }, sorted by name so imports run oldest first
+const readLegacyFiles = (target) => {
+  const stat = fs.statSync(target);
+  const paths = stat.isDirectory()
+    ? fs.readdirSync(target)
+      .filter(name => LEGACY_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+      .sort()
+      .map(name => path.join(target, name))
+    : [target];
+  return paths.map(file => ({
+    name: path.basename(file),
+    content: fs.readFileSync(file, 'utf8'),
+    modifiedAt: fs.statSync(file).mtime.toISOString()
+  }));
+};
+
+module.exports = {
+  LEGACY_EXTENSIONS,
+  parseLegacyTimestamp,
+  parseLegacyFile,
+  readLegacyFiles
+};
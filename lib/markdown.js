@@ -0,0 +1,61 @@
+const { Marked } = require('marked');
+const hljs = require('highlight.js');
+const sanitizeHtml = require('sanitize-html');
+const { escapeHtml } = require('./html');
+
+const highlightFence = (code, lang) => {
+  const language = String(lang || '').split(/\s/)[0].toLowerCase();
+  if (language && hljs.getLanguage(language)) {
+    try {
+      return { language, html: hljs.highlight(code, { language }).value };
+    } catch (err) {
+      console.error(err);
+    }
+  }
+  return { language: null, html: escapeHtml(code) };
+};
+
+const markdown = new Marked({
+  gfm: true,
+  renderer: {
+    code({ text, lang }) {
+      const { language, html } = highlightFence(text, lang);
+      const className = language ? `hljs language-${language}` : 'hljs';
+      return `<pre><code class="${className}">${html}</code></pre>\n`;
+    }
+  }
+});
+
+// Snippet authors are trusted to write notes, not markup: raw HTML, scripts,
+// event handlers and javascript: links are stripped after rendering.
+const SANITIZE_OPTIONS = {
+  allowedTags: sanitizeHtml.defaults.allowedTags.concat(['h1', 'h2', 'img', 'del', 'input']),
+  allowedAttributes: {
+    a: ['href', 'title', 'rel'],
+    img: ['src', 'alt', 'title'],
+    code: ['class'],
+    span: ['class'],
+    th: ['align'],
+    td: ['align'],
+    ol: ['start'],
+    input: ['type', 'checked', 'disabled']
+  },
+  allowedClasses: {
+    code: ['hljs', /^language-[\w-]+$/],
+    span: [/^hljs-[\w-]+$/, /^[\w-]+_$/]
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'noopener noreferrer nofollow' }),
+    // Only GFM task list checkboxes survive, and they are never editable
+    input: (tagName, attribs) => attribs.type === 'checkbox'
+      ? { tagName, attribs: { type: 'checkbox', disabled: '', ...(attribs.checked !== undefined ? { checked: '' } : {}) } }
+      : { tagName: 'span', attribs: {} }
+  }
+};
+
+// Renders a Markdown snippet to sanitized HTML with fenced code highlighted by hljs
+const renderMarkdown = (source) => sanitizeHtml(markdown.parse(source || ''), SANITIZE_OPTIONS);
+
+module.exports = { renderMarkdown };
@@ -0,0 +1,162 @@
+const { escapeHtml } = require('./html');
+
+const MAX_EXCERPTS = 3;
+const EXCERPT_WIDTH = 160;
+const WORD_SPLIT = /[^\p{L}\p{N}]+/u;
+
+// Parses the search box syntax into AND-ed groups of OR-ed terms:
+//   lock wait            both words
+//   "row lock"           phrase
+//   pg_stat*             prefix
+//   -idle                exclude
+//   sql OR plsql         either
+const parseSearchQuery = (input) => {
+  const groups = [];
+  let joinNext = false;
+  const pattern = /(-?)"([^"]*)"(\*?)|(\S+)/g;
+
+  for (const match of String(input || '').matchAll(pattern)) {
+    let term;
+    if (match[4] === 'OR') {
+      joinNext = groups.length > 0;
+      continue;
+    }
+    if (match[4] !== undefined) {
+      const raw = match[4];
+      const negate = raw.startsWith('-') && raw.length > 1;
+      const body = negate ? raw.slice(1) : raw;
+      const prefix = body.endsWith('*');
+      term = { words: [body.replace(/\*+$/, '')], phrase: false, prefix, negate };
+    } else {
+      term = { words: match[2].split(/\s+/), phrase: true, prefix: match[3] === '*', negate: match[1] === '-' };
+    }
+    term.words = term.words.map(w => w.replace(/[\\']/g, ' ').trim()).filter(w => w.split(WORD_SPLIT).some(Boolean));
+    if (!term.words.length) continue;
+
+    if (joinNext && !term.negate && !groups[groups.length - 1][0].negate) {
+      groups[groups.length - 1].push(term);
+    } else {
+      groups.push([term]);
+    }
+    joinNext = false;
+  }
+  return groups;
+};
+
+// Renders parsed groups as a to_tsquery() string. Every operand is quoted so
+// user input can never inject tsquery operators.
+const toTsQuery = (groups) => {
+  const operand = (term) => {
+    const lexemes = term.words.map((w, i) => `'${w}'${term.prefix && i === term.words.length - 1 ? ':*' : ''}`);
+    const expr = lexemes.join(' <-> ');
+    return term.negate ? `!(${expr})` : expr;
+  };
+  // A query made only of exclusions would match nearly everything, so require a positive term
+  if (!groups.some(g => !g[0].negate)) return null;
+  return groups
+    .map(g => (g.length > 1 ? `(${g.map(operand).join(' | ')})` : operand(g[0])))
+    .join(' & ');
+};
+
+// Field weights of the search_vector column (title A, description B, code D)
+// with ts_rank's default weight values
+const FIELD_WEIGHTS = { title: 1.0, description: 0.4, code: 0.1 };
+
+const tokenize = (text) => String(text || '').toLowerCase().split(WORD_SPLIT).filter(Boolean);
+
+// Number of places a term (word sequence, optionally prefix-matched) occurs in a token list
+const countTerm = (tokens, term) => {
+  const words = term.words.flatMap(tokenize);
+  let count = 0;
+  for (let i = 0; i + words.length <= tokens.length; i++) {
+    const hit = words.every((w, j) => (term.prefix && j === words.length - 1
+      ? tokens[i + j].startsWith(w)
+      : tokens[i + j] === w));
+    if (hit) count++;
+  }
+  return count;
+};
+
+// Evaluates parsed groups against a snippet without a database, mirroring the
+// to_tsquery() built by toTsQuery. Returns null when the snippet does not match,
+// otherwise a relevance score where higher is better.
+const rankSnippet = (snippet, groups) => {
+  const fields = Object.keys(FIELD_WEIGHTS).map(name => [name, tokenize(snippet[name])]);
+  const score = (term) => fields.reduce((sum, [name, tokens]) => sum + countTerm(tokens, term) * FIELD_WEIGHTS[name], 0);
+  let rank = 0;
+  for (const group of groups) {
+    if (group[0].negate) {
+      if (group.some(term => score(term) > 0)) return null;
+      continue;
+    }
+    const groupScore = group.reduce((sum, term) => sum + score(term), 0);
+    if (!groupScore) return null;
+    rank += groupScore;
+  }
+  return rank;
+};
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Matches every positive word of the query the way the Postgres 'simple'
+// parser splits words, so highlighted spans line up with what matched.
+const highlightPattern = (groups) => {
+  const parts = [];
+  groups.flat().filter(t => !t.negate).forEach(term => {
+    const words = term.words.flatMap(w => w.split(WORD_SPLIT)).filter(Boolean);
+    words.forEach((w, i) => {
+      const prefix = term.prefix && i === words.length - 1;
+      parts.push(escapeRegExp(w) + (prefix ? '[\\p{L}\\p{N}]*' : ''));
+    });
+  });
+  if (!parts.length) return null;
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${parts.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+};
+
+// Escapes text for HTML and wraps every match in <mark>
+const markMatches = (text, pattern) => {
+  let html = '';
+  let last = 0;
+  pattern.lastIndex = 0;
+  for (const match of text.matchAll(pattern)) {
+    html += escapeHtml(text.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return html + escapeHtml(text.slice(last));
+};
+
+const codeExcerpts = (code, pattern) => {
+  const excerpts = [];
+  const lines = (code || '').split(/\r?\n/);
+  for (let i = 0; i < lines.length && excerpts.length < MAX_EXCERPTS; i++) {
+    const line = lines[i];
+    pattern.lastIndex = 0;
+    const match = pattern.exec(line);
+    if (!match) continue;
+    const start = Math.max(0, Math.min(match.index - EXCERPT_WIDTH / 4, line.length - EXCERPT_WIDTH));
+    const end = Math.min(line.length, start + EXCERPT_WIDTH);
+    excerpts.push({
+      line: i + 1,
+      html: (start > 0 ? '…' : '') + markMatches(line.slice(start, end), pattern) + (end < line.length ? '…' : '')
+    });
+  }
+  return excerpts;
+};
+
+// HTML-safe highlighted title/description and up to three matching code lines
+const buildHighlights = (snippet, groups) => {
+  const pattern = highlightPattern(groups);
+  if (!pattern) return null;
+  return {
+    title: snippet.title ? markMatches(snippet.title, pattern) : null,
+    description: snippet.description ? markMatches(snippet.description, pattern) : null,
+    code: codeExcerpts(snippet.code, pattern)
+  };
+};
+
+module.exports = {
+  parseSearchQuery,
+  toTsQuery,
+  rankSnippet,
+  buildHighlights
+};
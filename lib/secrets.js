@@ -0,0 +1,112 @@
+// Finds credentials pasted into snippets. Each rule names the part of its match
+// that is the secret (the whole match, or a capture group), so redaction can
+// keep the surrounding text: "postgres://app:[REDACTED:connection-string]@db/app".
+const RULES = [
+  {
+    type: 'private-key',
+    label: 'private key',
+    pattern: /-----BEGIN[ A-Z0-9]*PRIVATE KEY(?: BLOCK)?-----[\s\S]*?(?:-----END[ A-Z0-9]*PRIVATE KEY(?: BLOCK)?-----|$)/g
+  },
+  { type: 'aws-access-key', label: 'AWS access key', pattern: /\b(?:AKIA|ASIA)[A-Z0-9]{16}\b/g },
+  {
+    type: 'aws-secret-key',
+    label: 'AWS secret key',
+    pattern: /aws.{0,20}?(?:secret|private).{0,20}?["'\s:=]+([A-Za-z0-9/+]{40})(?![A-Za-z0-9/+])/gi,
+    group: 1
+  },
+  {
+    type: 'connection-string',
+    label: 'password in a connection string',
+    pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:/?#@'"]+:([^\s/?#@'"]+)@/gi,
+    group: 1
+  },
+  {
+    type: 'password',
+    label: 'password',
+    pattern: /\b(?:password|passwd|pwd)["']?\s*[:=]\s*(?!=)(["']?)([^\s;'",]{3,})\1/gi,
+    group: 2
+  },
+  { type: 'password', label: 'password', pattern: /\bidentified\s+by\s+("?)([^\s;"]+)\1/gi, group: 2 },
+  {
+    type: 'password',
+    label: 'password',
+    pattern: /ConvertTo-SecureString\s+(?:-String\s+)?(["'])([^"']+)\1[^\n]*-AsPlainText/gi,
+    group: 2
+  },
+  { type: 'bearer-token', label: 'bearer token', pattern: /\bBearer\s+([A-Za-z0-9\-._~+/]{16,}=*)/g, group: 1 }
+];
+
+// Values that stand in for a secret rather than being one: variables,
+// templates, earlier redactions, function calls, PowerShell cmdlets and the
+// usual dummy words
+const isPlaceholder = (value) =>
+  /^[[$%{<*]|^\.\.\.|[()]|\{\{|^[A-Z][a-z]+-[A-Z][A-Za-z]+$/.test(value) ||
+  /^(x+|\*+|password|passwd|changeme|secret|example|your[_-]?\w*|null|none|true|false)$/i.test(value);
+
+// Bits of Shannon entropy per character
+const entropy = (value) => {
+  const counts = {};
+  for (const char of value) counts[char] = (counts[char] || 0) + 1;
+  return Object.values(counts).reduce((sum, n) => sum - (n / value.length) * Math.log2(n / value.length), 0);
+};
+
+// Quoted or assigned values that look random: long hex strings, or mixed-case
+// alphanumerics whose entropy is close to the maximum for their length.
+// Identifiers, paths and UUIDs stay below these limits.
+const HIGH_ENTROPY_CANDIDATE = /(?:["'`]|[=:]\s*)([A-Za-z0-9+/_-]{20,}={0,2})/g;
+
+const isHighEntropy = (value) => {
+  if (/^[0-9a-f]+$/i.test(value)) return value.length >= 32 && entropy(value) >= 3;
+  if (!/[a-z]/.test(value) || !/[A-Z]/.test(value) || !/\d/.test(value)) return false;
+  return entropy(value) >= 0.85 * Math.log2(Math.min(value.length, 64));
+};
+
+const lineOf = (code, index) => code.slice(0, index).split('\n').length;
+
+// Enough of a secret to recognise it in a review, never the secret itself
+const maskSecret = (value) => `${value.slice(0, 4)}… (${value.length} chars)`;
+
+// Every secret in the code as { type, label, line, preview, start, end }, in
+// order. Where rules overlap the more specific one (listed first) wins.
+const findSecrets = (code) => {
+  const matches = [];
+  const overlaps = (start, end) => matches.some(m => start < m.end && end > m.start);
+  const add = (type, label, value, start) => {
+    const end = start + value.length;
+    if (isPlaceholder(value) || overlaps(start, end)) return;
+    matches.push({ type, label, line: lineOf(code, start), preview: maskSecret(value), start, end });
+  };
+
+  for (const rule of RULES) {
+    for (const match of code.matchAll(new RegExp(rule.pattern.source, `${rule.pattern.flags}d`))) {
+      const [start] = match.indices[rule.group || 0];
+      add(rule.type, rule.label, match[rule.group || 0], start);
+    }
+  }
+  for (const match of code.matchAll(new RegExp(HIGH_ENTROPY_CANDIDATE.source, 'gd'))) {
+    if (isHighEntropy(match[1])) add('high-entropy', 'high-entropy string', match[1], match.indices[1][0]);
+  }
+  return matches.sort((a, b) => a.start - b.start);
+};
+
+const toFinding = ({ type, label, line, preview }) => ({ type, label, line, preview });
+
+// Returns the findings for a snippet's code, [] when it looks clean
+const scanSecrets = (code) => findSecrets(String(code || '')).map(toFinding);
+
+// Replaces every secret with a [REDACTED:<type>] marker. Returns the new code
+// and the findings, each marked as redacted.
+const redactSecrets = (code) => {
+  const text = String(code || '');
+  const secrets = findSecrets(text);
+  let redacted = text;
+  for (const secret of [...secrets].reverse()) {
+    redacted = redacted.slice(0, secret.start) + `[REDACTED:${secret.type}]` + redacted.slice(secret.end);
+  }
+  return { code: redacted, findings: secrets.map(secret => ({ ...toFinding(secret), redacted: true })) };
+};
+
+// "AWS access key (line 3), password (line 7)"
+const describeFindings = (findings) => findings.map(f => `${f.label} (line ${f.line})`).join(', ');
+
+module.exports = { scanSecrets, redactSecrets, describeFindings };
@@ -0,0 +1,719 @@
+const fs = require('fs');
+const path = require('path');
+const { rankSnippet } = require('../search');
+
+// Everything lives under one data directory:
+//   snippets/<id>.json    one file per snippet
+//   revisions/<id>.json   that snippet's revisions, oldest first
+//   users.json, api_keys.json, share_links.json, custom_languages.json, webhooks.json
+//   audit.jsonl           the audit log, one entry per line, append-only
+//   webhook_deliveries.jsonl  delivery attempts, appended and pruned
+// The whole store is loaded into memory at startup and each change rewrites only
+// the files it touches, so it suits a single server process.
+
+const readJson = (file, fallback) => (fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : fallback);
+
+// Write-then-rename so a crash mid-save never leaves a truncated file behind
+const writeJson = (file, data) => {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2) + '\n');
+  fs.renameSync(tmp, file);
+};
+
+const readJsonLines = (file) => (fs.existsSync(file)
+  ? fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line))
+  : []);
+
+const removeFile = (file) => fs.rmSync(file, { force: true });
+
+const nextId = (rows) => rows.reduce((max, row) => Math.max(max, row.id), 0) + 1;
+
+const time = (value) => new Date(value).getTime();
+
+const now = () => new Date().toISOString();
+
+const isShareLinkActive = (link) => !link.revoked_at
+  && (!link.expires_at || time(link.expires_at) > Date.now())
+  && (link.max_views == null || link.views < link.max_views);
+
+const SNIPPET_SORTS = {
+  timestamp: (s) => time(s.timestamp),
+  title: (s) => (s.title ?? s.filename).toLowerCase(),
+  language: (s) => (s.language || '').toLowerCase()
+};
+
+const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+const createFileStorage = ({ dir }) => {
+  const snippetsDir = path.join(dir, 'snippets');
+  const revisionsDir = path.join(dir, 'revisions');
+  const usersFile = path.join(dir, 'users.json');
+  const apiKeysFile = path.join(dir, 'api_keys.json');
+  const shareLinksFile = path.join(dir, 'share_links.json');
+  const customLanguagesFile = path.join(dir, 'custom_languages.json');
+  const auditFile = path.join(dir, 'audit.jsonl');
+  const webhooksFile = path.join(dir, 'webhooks.json');
+  const deliveriesFile = path.join(dir, 'webhook_deliveries.jsonl');
+
+  // filename -> stored snippet; filename -> revision list
+  const snippets = new Map();
+  const revisions = new Map();
+  let users = [];
+  let apiKeys = [];
+  let shareLinks = [];
+  let customLanguages = [];
+  let auditLog = [];
+  let webhooks = [];
+  let deliveries = [];
+  let lastRevisionId = 0;
+
+  const init = async () => {
+    fs.mkdirSync(snippetsDir, { recursive: true });
+    fs.mkdirSync(revisionsDir, { recursive: true });
+    for (const name of fs.readdirSync(snippetsDir).filter(n => n.endsWith('.json'))) {
+      const snippet = readJson(path.join(snippetsDir, name));
+      snippets.set(snippet.filename, snippet);
+      revisions.set(snippet.filename, readJson(path.join(revisionsDir, `${snippet.id}.json`), []));
+    }
+    lastRevisionId = Math.max(0, ...[...revisions.values()].map(list => nextId(list) - 1));
+    users = readJson(usersFile, []);
+    apiKeys = readJson(apiKeysFile, []);
+    shareLinks = readJson(shareLinksFile, []);
+    customLanguages = readJson(customLanguagesFile, []);
+    auditLog = readJsonLines(auditFile);
+    webhooks = readJson(webhooksFile, []);
+    deliveries = readJsonLines(deliveriesFile);
+  };
+
+  const saveSnippet = (snippet) => writeJson(path.join(snippetsDir, `${snippet.id}.json`), snippet);
+  const saveRevisions = (snippet) => writeJson(path.join(revisionsDir, `${snippet.id}.json`), revisions.get(snippet.filename));
+  const saveUsers = () => writeJson(usersFile, users);
+  const saveApiKeys = () => writeJson(apiKeysFile, apiKeys);
+  const saveShareLinks = () => writeJson(shareLinksFile, shareLinks);
+  const saveCustomLanguages = () => writeJson(customLanguagesFile, customLanguages);
+  const saveWebhooks = () => writeJson(webhooksFile, webhooks);
+  const saveDeliveries = () => {
+    const tmp = `${deliveriesFile}.tmp`;
+    fs.writeFileSync(tmp, deliveries.map(d => JSON.stringify(d) + '\n').join(''));
+    fs.renameSync(tmp, deliveriesFile);
+  };
+
+  // Same shape as a Postgres snippet row; callers get copies they may change freely
+  const toRow = (snippet) => ({
+    id: snippet.id,
+    slug: snippet.slug,
+    filename: snippet.filename,
+    language: snippet.language,
+    code: snippet.code,
+    timestamp: snippet.timestamp,
+    title: snippet.title,
+    description: snippet.description,
+    embeddable: !!snippet.embeddable,
+    detected_language: snippet.detected_language ?? null,
+    language_confidence: snippet.language_confidence ?? null,
+    secret_findings: snippet.secret_findings ? snippet.secret_findings.map(f => ({ ...f })) : null,
+    secrets_reviewed_at: snippet.secrets_reviewed_at ?? null,
+    tags: [...snippet.tags],
+    owner: users.find(u => u.id === snippet.owner_id)?.username ?? null
+  });
+
+  const byNewest = (a, b) => time(b.timestamp) - time(a.timestamp);
+
+  // Snippets
+
+  // Trashed snippets are invisible everywhere except the trash itself. Their ids and
+  // slugs stay reserved (isSlugTaken does not filter) so a restore never collides.
+  const activeSnippets = () => [...snippets.values()].filter(s => !s.deleted_at);
+
+  const matchRef = (list, ref) => list.find(s => s.id === ref) || list.find(s => s.slug === ref) || list.find(s => s.filename === ref);
+
+  const listSnippets = async () => activeSnippets().sort(byNewest).map(toRow);
+
+  const getSnippet = async (filename) => {
+    const snippet = snippets.get(filename);
+    return snippet && !snippet.deleted_at ? toRow(snippet) : null;
+  };
+
+  const findSnippet = async (ref) => {
+    const snippet = matchRef(activeSnippets(), ref);
+    return snippet ? toRow(snippet) : null;
+  };
+
+  const querySnippets = async (filters, { sort, order, page, perPage, includeCode = true }) => {
+    const searching = filters.groups.some(g => !g[0].negate);
+    const from = filters.from && time(filters.from);
+    const to = filters.to && time(filters.to);
+    const direction = order === 'asc' ? 1 : -1;
+
+    const matches = [];
+    for (const snippet of activeSnippets()) {
+      const rank = searching ? rankSnippet(snippet, filters.groups) : null;
+      if (searching && rank === null) continue;
+      if (filters.language && (snippet.language || '').toLowerCase() !== filters.language.toLowerCase()) continue;
+      if (filters.title && !(snippet.title || '').toLowerCase().includes(filters.title.toLowerCase())) continue;
+      if (filters.tags?.length && !filters.tags.every(t => snippet.tags.includes(t))) continue;
+      if (from && time(snippet.timestamp) < from) continue;
+      if (to && time(snippet.timestamp) >= to) continue;
+      matches.push({ snippet, rank });
+    }
+
+    matches.sort((a, b) => {
+      if (sort) {
+        const key = SNIPPET_SORTS[sort];
+        return direction * compare(key(a.snippet), key(b.snippet)) || byNewest(a.snippet, b.snippet);
+      }
+      return (b.rank ?? -1) - (a.rank ?? -1) || direction * (time(a.snippet.timestamp) - time(b.snippet.timestamp));
+    });
+
+    const start = (page - 1) * perPage;
+    return {
+      total: matches.length,
+      rows: matches.slice(start, start + perPage).map(({ snippet, rank }) => {
+        const { code, ...row } = toRow(snippet);
+        return includeCode ? { ...row, code, rank } : { ...row, rank };
+      })
+    };
+  };
+
+  const countSnippetsByLanguage = async () => {
+    const counts = new Map();
+    for (const snippet of activeSnippets()) counts.set(snippet.language, (counts.get(snippet.language) || 0) + 1);
+    return [...counts].sort((a, b) => compare(a[0], b[0])).map(([language, count]) => ({ language, count }));
+  };
+
+  const listTags = async () => [...new Set(activeSnippets().flatMap(s => s.tags))].sort();
+
+  const isSlugTaken = async (slug, filename) => [...snippets.values()]
+    .some(s => (s.slug === slug || s.id === slug) && s.filename !== filename);
+
+  const findDuplicateSnippet = async ({ filename, timestamp, language, code }) => {
+    const duplicate = snippets.get(filename) || [...snippets.values()].find(s =>
+      time(s.timestamp) === time(timestamp) && s.language === language && s.code === code);
+    return duplicate ? toRow(duplicate) : null;
+  };
+
+  const insertSnippet = async ({ id, slug, filename, language, code, timestamp, title, description, embeddable, detectedLanguage, languageConfidence, secretFindings, ownerId, tags }) => {
+    if (snippets.has(filename)) throw new Error(`Snippet ${filename} already exists`);
+    const snippet = {
+      id,
+      slug,
+      filename,
+      language,
+      code,
+      timestamp: new Date(timestamp).toISOString(),
+      title,
+      description,
+      embeddable: !!embeddable,
+      detected_language: detectedLanguage ?? null,
+      language_confidence: languageConfidence ?? null,
+      secret_findings: secretFindings?.length ? secretFindings : null,
+      secrets_reviewed_at: null,
+      secrets_reviewed_by: null,
+      deleted_at: null,
+      deleted_by: null,
+      tags: [...tags].sort(),
+      owner_id: ownerId
+    };
+    snippets.set(filename, snippet);
+    revisions.set(filename, []);
+    saveSnippet(snippet);
+  };
+
+  const updateSnippetContent = async (filename, { language, code, title, description, tags, detectedLanguage, languageConfidence }) => {
+    const snippet = snippets.get(filename);
+    if (!snippet) return;
+    Object.assign(snippet, {
+      language,
+      code,
+      title,
+      description,
+      detected_language: detectedLanguage ?? null,
+      language_confidence: languageConfidence ?? null,
+      tags: [...tags].sort()
+    });
+    saveSnippet(snippet);
+  };
+
+  const updateSnippetSlug = async (filename, slug) => {
+    const snippet = snippets.get(filename);
+    if (!snippet) return;
+    snippet.slug = slug;
+    saveSnippet(snippet);
+  };
+
+  const updateSnippetEmbeddable = async (filename, embeddable) => {
+    const snippet = snippets.get(filename);
+    if (!snippet) return;
+    snippet.embeddable = embeddable;
+    saveSnippet(snippet);
+  };
+
+  // New findings always need a fresh review
+  const updateSnippetSecrets = async (filename, findings) => {
+    const snippet = snippets.get(filename);
+    if (!snippet) return;
+    Object.assign(snippet, {
+      secret_findings: findings?.length ? findings : null,
+      secrets_reviewed_at: null,
+      secrets_reviewed_by: null
+    });
+    saveSnippet(snippet);
+  };
+
+  const markSecretsReviewed = async (filename, userId) => {
+    const snippet = snippets.get(filename);
+    if (!snippet?.secret_findings) return false;
+    snippet.secrets_reviewed_at = new Date().toISOString();
+    snippet.secrets_reviewed_by = userId;
+    saveSnippet(snippet);
+    return true;
+  };
+
+  // Snippets with findings nobody has reviewed yet, newest first
+  const listFlaggedSnippets = async () => activeSnippets()
+    .filter(s => s.secret_findings && !s.secrets_reviewed_at)
+    .sort(byNewest)
+    .map(toRow);
+
+  // Permanent; revisions and share links go with the snippet
+  const deleteSnippet = async (filename) => {
+    const snippet = snippets.get(filename);
+    if (!snippet) return false;
+    snippets.delete(filename);
+    revisions.delete(filename);
+    removeFile(path.join(snippetsDir, `${snippet.id}.json`));
+    removeFile(path.join(revisionsDir, `${snippet.id}.json`));
+    if (shareLinks.some(l => l.snippet_filename === filename)) {
+      shareLinks = shareLinks.filter(l => l.snippet_filename !== filename);
+      saveShareLinks();
+    }
+    return true;
+  };
+
+  // Trash
+
+  const toTrashRow = (snippet) => ({
+    ...toRow(snippet),
+    deleted_at: snippet.deleted_at,
+    deleted_by: users.find(u => u.id === snippet.deleted_by)?.username ?? null
+  });
+
+  const trashSnippet = async (filename, userId) => {
+    const snippet = snippets.get(filename);
+    if (!snippet || snippet.deleted_at) return false;
+    snippet.deleted_at = new Date().toISOString();
+    snippet.deleted_by = userId;
+    saveSnippet(snippet);
+    return true;
+  };
+
+  const restoreSnippet = async (filename) => {
+    const snippet = snippets.get(filename);
+    if (!snippet?.deleted_at) return false;
+    snippet.deleted_at = null;
+    snippet.deleted_by = null;
+    saveSnippet(snippet);
+    return true;
+  };
+
+  // Most recently deleted first
+  const listTrash = async () => [...snippets.values()]
+    .filter(s => s.deleted_at)
+    .sort((a, b) => time(b.deleted_at) - time(a.deleted_at))
+    .map(toTrashRow);
+
+  const findTrashedSnippet = async (ref) => {
+    const snippet = matchRef([...snippets.values()].filter(s => s.deleted_at), ref);
+    return snippet ? toTrashRow(snippet) : null;
+  };
+
+  // Revisions
+
+  const addRevision = async (filename, { source, restoredFrom }) => {
+    const snippet = snippets.get(filename);
+    if (!snippet) return;
+    const list = revisions.get(filename);
+    list.push({
+      id: ++lastRevisionId,
+      snippet_filename: filename,
+      revision: list.length ? list[list.length - 1].revision + 1 : 1,
+      language: snippet.language,
+      code: snippet.code,
+      title: snippet.title,
+      description: snippet.description,
+      tags: [...snippet.tags],
+      source,
+      restored_from: restoredFrom,
+      created_at: now()
+    });
+    saveRevisions(snippet);
+  };
+
+  const hasRevisions = async (filename) => (revisions.get(filename) || []).length > 0;
+
+  const listRevisions = async (filename) => [...(revisions.get(filename) || [])].reverse().map(r => ({ ...r }));
+
+  const getRevision = async (filename, revision) => {
+    const found = (revisions.get(filename) || []).find(r => r.revision === revision);
+    return found ? { ...found } : null;
+  };
+
+  // Share links
+
+  const createShareLink = async ({ token, filename, expiresInHours, maxViews }) => {
+    const link = {
+      token,
+      snippet_filename: filename,
+      created_at: now(),
+      expires_at: expiresInHours ? new Date(Date.now() + expiresInHours * 3600 * 1000).toISOString() : null,
+      max_views: maxViews || null,
+      views: 0,
+      revoked_at: null
+    };
+    shareLinks.push(link);
+    saveShareLinks();
+    return { ...link };
+  };
+
+  const consumeShareLink = async (token) => {
+    const link = shareLinks.find(l => l.token === token);
+    if (!link || !isShareLinkActive(link)) return null;
+    link.views += 1;
+    saveShareLinks();
+    return { ...link };
+  };
+
+  const listActiveShareLinks = async () => shareLinks
+    .filter(l => isShareLinkActive(l) && snippets.has(l.snippet_filename) && !snippets.get(l.snippet_filename).deleted_at)
+    .sort((a, b) => time(b.created_at) - time(a.created_at))
+    .map(l => ({ ...l, title: snippets.get(l.snippet_filename).title }));
+
+  const revokeShareLink = async (token) => {
+    const link = shareLinks.find(l => l.token === token && !l.revoked_at);
+    if (!link) return false;
+    link.revoked_at = now();
+    saveShareLinks();
+    return true;
+  };
+
+  // Users
+
+  const getUser = async (id) => {
+    const user = users.find(u => u.id === id);
+    return user ? { id: user.id, username: user.username, role: user.role } : null;
+  };
+
+  const getUserCredentials = async (username) => {
+    const user = users.find(u => u.username === username);
+    return user ? { id: user.id, password_hash: user.password_hash } : null;
+  };
+
+  const listUsers = async () => [...users]
+    .sort((a, b) => compare(a.username, b.username))
+    .map(u => ({
+      id: u.id,
+      username: u.username,
+      role: u.role,
+      created_at: u.created_at,
+      snippet_count: activeSnippets().filter(s => s.owner_id === u.id).length
+    }));
+
+  const countAdmins = async () => users.filter(u => u.role === 'admin').length;
+
+  const createUser = async ({ username, passwordHash, role }) => {
+    if (users.some(u => u.username === username)) return null;
+    const user = { id: nextId(users), username, password_hash: passwordHash, role, created_at: now() };
+    users.push(user);
+    saveUsers();
+    return { id: user.id, username, role };
+  };
+
+  const createInitialAdmin = async ({ username, passwordHash }) => {
+    if (users.length) return false;
+    await createUser({ username, passwordHash, role: 'admin' });
+    return true;
+  };
+
+  const updateUserRole = async (id, role) => {
+    const user = users.find(u => u.id === id);
+    if (!user) return;
+    user.role = role;
+    saveUsers();
+  };
+
+  const updateUserPassword = async (id, passwordHash) => {
+    const user = users.find(u => u.id === id);
+    if (!user) return;
+    user.password_hash = passwordHash;
+    saveUsers();
+  };
+
+  // Like the foreign keys in Postgres: snippets, created keys, languages and webhooks are kept without the user
+  const deleteUser = async (id) => {
+    if (!users.some(u => u.id === id)) return false;
+    users = users.filter(u => u.id !== id);
+    saveUsers();
+    for (const snippet of snippets.values()) {
+      const refs = ['owner_id', 'secrets_reviewed_by', 'deleted_by'].filter(key => snippet[key] === id);
+      if (!refs.length) continue;
+      refs.forEach(key => { snippet[key] = null; });
+      saveSnippet(snippet);
+    }
+    if (apiKeys.some(k => k.created_by === id)) {
+      apiKeys.forEach(k => { if (k.created_by === id) k.created_by = null; });
+      saveApiKeys();
+    }
+    if (customLanguages.some(l => l.created_by === id)) {
+      customLanguages.forEach(l => { if (l.created_by === id) l.created_by = null; });
+      saveCustomLanguages();
+    }
+    if (webhooks.some(w => w.created_by === id)) {
+      webhooks.forEach(w => { if (w.created_by === id) w.created_by = null; });
+      saveWebhooks();
+    }
+    return true;
+  };
+
+  // API keys
+
+  const listApiKeys = async () => [...apiKeys]
+    .sort((a, b) => Number(!!a.revoked_at) - Number(!!b.revoked_at) || time(b.created_at) - time(a.created_at))
+    .map(k => ({ ...k, created_by_username: users.find(u => u.id === k.created_by)?.username ?? null }));
+
+  const createApiKey = async ({ label, keyHash, keyPrefix, scopes, createdBy }) => {
+    const key = {
+      id: nextId(apiKeys),
+      label,
+      key_hash: keyHash,
+      key_prefix: keyPrefix,
+      scopes,
+      created_by: createdBy,
+      created_at: now(),
+      last_used_at: null,
+      revoked_at: null
+    };
+    apiKeys.push(key);
+    saveApiKeys();
+    return { ...key };
+  };
+
+  const useApiKey = async (keyHash) => {
+    const key = apiKeys.find(k => k.key_hash === keyHash && !k.revoked_at);
+    if (!key) return null;
+    key.last_used_at = now();
+    saveApiKeys();
+    return { id: key.id, label: key.label, scopes: key.scopes, created_by: key.created_by };
+  };
+
+  const revokeApiKey = async (id) => {
+    const key = apiKeys.find(k => k.id === id && !k.revoked_at);
+    if (!key) return false;
+    key.revoked_at = now();
+    saveApiKeys();
+    return true;
+  };
+
+  // Custom languages
+
+  const listCustomLanguages = async () => [...customLanguages]
+    .sort((a, b) => compare(a.name, b.name))
+    .map(l => ({ ...l, extensions: [...l.extensions], aliases: [...l.aliases] }));
+
+  const createCustomLanguage = async ({ id, name, hljs, monaco, extensions, aliases, mime, createdBy }) => {
+    if (customLanguages.some(l => l.id === id)) return null;
+    const language = {
+      id,
+      name,
+      hljs,
+      monaco,
+      extensions: [...extensions],
+      aliases: [...aliases],
+      mime,
+      created_by: createdBy,
+      created_at: now()
+    };
+    customLanguages.push(language);
+    saveCustomLanguages();
+    return { ...language, extensions: [...extensions], aliases: [...aliases] };
+  };
+
+  const deleteCustomLanguage = async (id) => {
+    const before = customLanguages.length;
+    customLanguages = customLanguages.filter(l => l.id !== id);
+    if (customLanguages.length === before) return false;
+    saveCustomLanguages();
+    return true;
+  };
+
+  // Audit log
+
+  const addAuditEntry = async ({ action, actorType, actorId, actor, ip, targetType, targetId, before, after, details }) => {
+    const entry = {
+      id: nextId(auditLog.slice(-1)),
+      created_at: now(),
+      action,
+      actor_type: actorType,
+      actor_id: actorId ?? null,
+      actor: actor ?? null,
+      ip: ip ?? null,
+      target_type: targetType ?? null,
+      target_id: targetId ?? null,
+      before: before ?? null,
+      after: after ?? null,
+      details: details ?? null
+    };
+    auditLog.push(entry);
+    fs.appendFileSync(auditFile, JSON.stringify(entry) + '\n');
+  };
+
+  // Newest first. `action` matches exactly or as a prefix ("snippet" matches
+  // "snippet.update"); `actor` is a case-insensitive name.
+  const queryAuditLog = async (filters, { page, perPage }) => {
+    const from = filters.from && time(filters.from);
+    const to = filters.to && time(filters.to);
+    const matches = auditLog.filter(a =>
+      (!filters.action || a.action === filters.action || a.action.startsWith(`${filters.action}.`)) &&
+      (!filters.actor || (a.actor || '').toLowerCase() === filters.actor.toLowerCase()) &&
+      (!filters.targetId || a.target_id === filters.targetId) &&
+      (!filters.ip || a.ip === filters.ip) &&
+      (!from || time(a.created_at) >= from) &&
+      (!to || time(a.created_at) < to)
+    ).reverse();
+    const start = (page - 1) * perPage;
+    return { total: matches.length, rows: matches.slice(start, start + perPage).map(a => ({ ...a })) };
+  };
+
+  // Webhooks
+
+  const listWebhooks = async () => [...webhooks]
+    .sort((a, b) => time(a.created_at) - time(b.created_at))
+    .map(w => ({ ...w, events: [...w.events], created_by_username: users.find(u => u.id === w.created_by)?.username ?? null }));
+
+  const createWebhook = async ({ url, secret, events, createdBy }) => {
+    const webhook = {
+      id: nextId(webhooks),
+      url,
+      secret,
+      events: [...events],
+      active: true,
+      created_by: createdBy,
+      created_at: now()
+    };
+    webhooks.push(webhook);
+    saveWebhooks();
+    return { ...webhook, events: [...events] };
+  };
+
+  const setWebhookActive = async (id, active) => {
+    const webhook = webhooks.find(w => w.id === id);
+    if (!webhook) return false;
+    webhook.active = active;
+    saveWebhooks();
+    return true;
+  };
+
+  // Its delivery attempts go with it, like ON DELETE CASCADE
+  const deleteWebhook = async (id) => {
+    if (!webhooks.some(w => w.id === id)) return false;
+    webhooks = webhooks.filter(w => w.id !== id);
+    saveWebhooks();
+    deliveries = deliveries.filter(d => d.webhook_id !== id);
+    saveDeliveries();
+    return true;
+  };
+
+  const addWebhookDelivery = async ({ webhookId, deliveryId, event, snippetId, attempt, statusCode, error, durationMs, nextAttemptAt }) => {
+    const delivery = {
+      id: nextId(deliveries.slice(-1)),
+      webhook_id: webhookId,
+      delivery_id: deliveryId,
+      event,
+      snippet_id: snippetId ?? null,
+      attempt,
+      status_code: statusCode ?? null,
+      error: error ?? null,
+      duration_ms: durationMs ?? null,
+      next_attempt_at: nextAttemptAt ?? null,
+      created_at: now()
+    };
+    deliveries.push(delivery);
+    fs.appendFileSync(deliveriesFile, JSON.stringify(delivery) + '\n');
+  };
+
+  const listWebhookDeliveries = async (limit) => deliveries.slice(-limit).reverse()
+    .map(d => ({ ...d, url: webhooks.find(w => w.id === d.webhook_id)?.url }));
+
+  const pruneWebhookDeliveries = async (before) => {
+    const kept = deliveries.filter(d => time(d.created_at) >= time(before));
+    const pruned = deliveries.length - kept.length;
+    if (pruned) {
+      deliveries = kept;
+      saveDeliveries();
+    }
+    return pruned;
+  };
+
+  return {
+    name: 'file',
+    init,
+    // The JSON files carry no schema, so there is nothing to migrate
+    migrate: async () => [],
+    migrationStatus: async () => [],
+    close: async () => {},
+    listSnippets,
+    getSnippet,
+    findSnippet,
+    querySnippets,
+    countSnippetsByLanguage,
+    listTags,
+    isSlugTaken,
+    findDuplicateSnippet,
+    insertSnippet,
+    updateSnippetContent,
+    updateSnippetSlug,
+    updateSnippetEmbeddable,
+    updateSnippetSecrets,
+    markSecretsReviewed,
+    listFlaggedSnippets,
+    deleteSnippet,
+    trashSnippet,
+    restoreSnippet,
+    listTrash,
+    findTrashedSnippet,
+    addRevision,
+    hasRevisions,
+    listRevisions,
+    getRevision,
+    createShareLink,
+    consumeShareLink,
+    listActiveShareLinks,
+    revokeShareLink,
+    getUser,
+    getUserCredentials,
+    listUsers,
+    countAdmins,
+    createUser,
+    createInitialAdmin,
+    updateUserRole,
+    updateUserPassword,
+    deleteUser,
+    listApiKeys,
+    createApiKey,
+    useApiKey,
+    revokeApiKey,
+    listCustomLanguages,
+    createCustomLanguage,
+    deleteCustomLanguage,
+    addAuditEntry,
+    queryAuditLog,
+    listWebhooks,
+    createWebhook,
+    setWebhookActive,
+    deleteWebhook,
+    addWebhookDelivery,
+    listWebhookDeliveries,
+    pruneWebhookDeliveries
+  };
+};
+
+module.exports = { createFileStorage };
@@ -0,0 +1,24 @@
+const path = require('path');
+const { createPostgresStorage } = require('./postgres');
+const { createFileStorage } = require('./file');
+
+// Every backend implements the same async interface (see postgres.js for the
+// reference SQL) and returns rows of the same shape, so routes never need to
+// know which one is in use.
+const BACKENDS = {
+  postgres: (env) => createPostgresStorage({ connectionString: env.DATABASE_URL }),
+  file: (env) => createFileStorage({ dir: env.DATA_DIR || path.join(__dirname, '..', '..', 'data') })
+};
+
+// STORAGE picks the backend; without it Postgres is used when DATABASE_URL is set
+const createStorage = (env = process.env) => {
+  const name = env.STORAGE || (env.DATABASE_URL ? 'postgres' : 'file');
+  if (!BACKENDS[name]) {
+    throw new Error(`Unknown STORAGE "${name}". Available: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  return BACKENDS[name](env);
+};
+
+const SNIPPET_SORTS = ['timestamp', 'title', 'language'];
+
+module.exports = { createStorage, SNIPPET_SORTS };
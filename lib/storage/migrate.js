@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Arbitrary pg_advisory_lock key so servers starting together migrate one at a time
+const MIGRATION_LOCK = 727100;
+
+// Migrations are NNNN_name.sql files, applied in version order. Add new ones with
+// the next number; never edit one that has already been applied somewhere.
+const loadMigrations = () => {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_[\w-]+\.sql$/.test(file))
+    .map(file => ({
+      version: parseInt(file, 10),
+      name: file.replace(/\.sql$/, ''),
+      sql: fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8')
+    }))
+    .sort((a, b) => a.version - b.version);
+  migrations.forEach((m, i) => {
+    if (i && m.version === migrations[i - 1].version) throw new Error(`Duplicate migration version ${m.version}`);
+  });
+  return migrations;
+};
+
+const ensureMigrationsTable = (db) => db.query(`
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  )`);
+
+// Every known migration with its applied_at, or null while it is pending
+const migrationStatus = async (pool) => {
+  await ensureMigrationsTable(pool);
+  const { rows } = await pool.query('SELECT version, applied_at FROM schema_migrations');
+  const applied = new Map(rows.map(r => [r.version, r.applied_at]));
+  return loadMigrations().map(({ version, name }) => ({ version, name, applied_at: applied.get(version) || null }));
+};
+
+// Applies pending migrations, each in its own transaction, and returns their names
+const runMigrations = async (pool) => {
+  const migrations = loadMigrations();
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK]);
+    await ensureMigrationsTable(client);
+    const { rows } = await client.query('SELECT version FROM schema_migrations');
+    const done = new Set(rows.map(r => r.version));
+    const applied = [];
+    for (const migration of migrations.filter(m => !done.has(m.version))) {
+      try {
+        await client.query('BEGIN');
+        await client.query(migration.sql);
+        await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${migration.name} failed: ${err.message}`);
+      }
+      applied.push(migration.name);
+    }
+    return applied;
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK]).catch(() => {});
+    client.release();
+  }
+};
+
+module.exports = { migrationStatus, runMigrations };
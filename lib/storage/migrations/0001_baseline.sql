@@ -0,0 +1,11 @@
+-- The table the app has always written to. Earlier deployments created it by hand,
+-- so everything here is IF NOT EXISTS and only fills in what is missing.
+CREATE TABLE IF NOT EXISTS snippets (
+  filename TEXT NOT NULL,
+  language TEXT,
+  code TEXT,
+  timestamp TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS snippets_filename_key ON snippets (filename);
+CREATE INDEX IF NOT EXISTS snippets_timestamp_idx ON snippets (timestamp DESC);
+CREATE INDEX IF NOT EXISTS snippets_language_idx ON snippets (LOWER(language));
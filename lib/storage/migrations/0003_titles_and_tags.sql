@@ -0,0 +1,11 @@
+ALTER TABLE snippets ADD COLUMN IF NOT EXISTS title TEXT;
+ALTER TABLE snippets ADD COLUMN IF NOT EXISTS description TEXT;
+CREATE TABLE IF NOT EXISTS tags (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE
+);
+CREATE TABLE IF NOT EXISTS snippet_tags (
+  snippet_filename TEXT NOT NULL REFERENCES snippets (filename) ON DELETE CASCADE ON UPDATE CASCADE,
+  tag_id INTEGER NOT NULL REFERENCES tags (id) ON DELETE CASCADE,
+  PRIMARY KEY (snippet_filename, tag_id)
+);
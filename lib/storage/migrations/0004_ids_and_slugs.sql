@@ -0,0 +1,6 @@
+ALTER TABLE snippets ADD COLUMN IF NOT EXISTS id TEXT;
+ALTER TABLE snippets ADD COLUMN IF NOT EXISTS slug TEXT;
+UPDATE snippets SET id = substr(md5(random()::text || filename), 1, 10) WHERE id IS NULL;
+ALTER TABLE snippets ALTER COLUMN id SET NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS snippets_id_key ON snippets (id);
+CREATE UNIQUE INDEX IF NOT EXISTS snippets_slug_key ON snippets (slug);
@@ -0,0 +1,6 @@
+ALTER TABLE snippets ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+  setweight(to_tsvector('simple', COALESCE(title, '')), 'A') ||
+  setweight(to_tsvector('simple', COALESCE(description, '')), 'B') ||
+  to_tsvector('simple', COALESCE(code, ''))
+) STORED;
+CREATE INDEX IF NOT EXISTS snippets_search_idx ON snippets USING GIN (search_vector);
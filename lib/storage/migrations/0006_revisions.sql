@@ -0,0 +1,14 @@
+CREATE TABLE IF NOT EXISTS snippet_revisions (
+  id SERIAL PRIMARY KEY,
+  snippet_filename TEXT NOT NULL REFERENCES snippets (filename) ON DELETE CASCADE ON UPDATE CASCADE,
+  revision INTEGER NOT NULL,
+  language TEXT,
+  code TEXT,
+  title TEXT,
+  description TEXT,
+  tags TEXT[] NOT NULL DEFAULT '{}',
+  source TEXT NOT NULL,
+  restored_from INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (snippet_filename, revision)
+);
@@ -0,0 +1,9 @@
+CREATE TABLE IF NOT EXISTS share_links (
+  token TEXT PRIMARY KEY,
+  snippet_filename TEXT NOT NULL REFERENCES snippets (filename) ON DELETE CASCADE ON UPDATE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ,
+  max_views INTEGER,
+  views INTEGER NOT NULL DEFAULT 0,
+  revoked_at TIMESTAMPTZ
+);
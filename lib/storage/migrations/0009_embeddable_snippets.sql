@@ -0,0 +1 @@
+ALTER TABLE snippets ADD COLUMN IF NOT EXISTS embeddable BOOLEAN NOT NULL DEFAULT FALSE;
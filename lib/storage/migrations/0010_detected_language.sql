@@ -0,0 +1,2 @@
+ALTER TABLE snippets ADD COLUMN IF NOT EXISTS detected_language TEXT;
+ALTER TABLE snippets ADD COLUMN IF NOT EXISTS language_confidence REAL;
@@ -0,0 +1,11 @@
+CREATE TABLE IF NOT EXISTS custom_languages (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  hljs TEXT,
+  monaco TEXT NOT NULL,
+  extensions TEXT[] NOT NULL DEFAULT '{}',
+  aliases TEXT[] NOT NULL DEFAULT '{}',
+  mime TEXT NOT NULL,
+  created_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
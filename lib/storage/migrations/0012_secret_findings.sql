@@ -0,0 +1,5 @@
+ALTER TABLE snippets ADD COLUMN IF NOT EXISTS secret_findings JSONB;
+ALTER TABLE snippets ADD COLUMN IF NOT EXISTS secrets_reviewed_at TIMESTAMPTZ;
+ALTER TABLE snippets ADD COLUMN IF NOT EXISTS secrets_reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS snippets_secrets_pending_idx ON snippets (timestamp DESC)
+  WHERE secret_findings IS NOT NULL AND secrets_reviewed_at IS NULL;
@@ -0,0 +1,3 @@
+ALTER TABLE snippets ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE snippets ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS snippets_deleted_at_idx ON snippets (deleted_at) WHERE deleted_at IS NOT NULL;
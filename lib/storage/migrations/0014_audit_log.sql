@@ -0,0 +1,18 @@
+-- Actors are stored by name as well as id so entries stay readable after the
+-- user or API key is deleted
+CREATE TABLE IF NOT EXISTS audit_log (
+  id SERIAL PRIMARY KEY,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  action TEXT NOT NULL,
+  actor_type TEXT NOT NULL,
+  actor_id INTEGER,
+  actor TEXT,
+  ip TEXT,
+  target_type TEXT,
+  target_id TEXT,
+  before JSONB,
+  after JSONB,
+  details JSONB
+);
+CREATE INDEX IF NOT EXISTS audit_log_created_at_idx ON audit_log (created_at DESC);
+CREATE INDEX IF NOT EXISTS audit_log_target_idx ON audit_log (target_type, target_id);
@@ -0,0 +1,620 @@
+const { Pool } = require('pg');
+const { toTsQuery } = require('../search');
+const { migrationStatus, runMigrations } = require('./migrate');
+
+// Tags are attached to every snippet row as a sorted text[] so templates and API
+// responses never need a second query.
+const SNIPPET_TAGS = `
+  ARRAY(
+    SELECT t.name FROM snippet_tags st JOIN tags t ON t.id = st.tag_id
+    WHERE st.snippet_filename = s.filename ORDER BY t.name
+  )`;
+
+// Columns are listed so the search_vector column never leaks into responses.
+// Listings that only show metadata leave out the code, the one column that can be large.
+const SNIPPET_SUMMARY_COLUMNS = `s.id, s.slug, s.filename, s.language, s.timestamp, s.title, s.description,
+  s.embeddable, s.detected_language, s.language_confidence, s.secret_findings, s.secrets_reviewed_at,
+  ${SNIPPET_TAGS} AS tags,
+  (SELECT u.username FROM users u WHERE u.id = s.owner_id) AS owner`;
+
+const SNIPPET_COLUMNS = `${SNIPPET_SUMMARY_COLUMNS}, s.code`;
+
+const SNIPPET_SELECT = `SELECT ${SNIPPET_COLUMNS} FROM snippets s`;
+
+// Trashed snippets are invisible everywhere except the trash itself. Their ids and
+// slugs stay reserved (isSlugTaken does not filter) so a restore never collides.
+const SNIPPET_ACTIVE = 's.deleted_at IS NULL';
+
+const TRASH_COLUMNS = `${SNIPPET_COLUMNS}, s.deleted_at,
+  (SELECT u.username FROM users u WHERE u.id = s.deleted_by) AS deleted_by`;
+
+const SNIPPET_SORTS = {
+  timestamp: 's.timestamp',
+  title: 'LOWER(COALESCE(s.title, s.filename))',
+  language: 'LOWER(s.language)'
+};
+
+// A link stops working once revoked, expired or out of views
+const SHARE_LINK_ACTIVE = `l.revoked_at IS NULL
+  AND (l.expires_at IS NULL OR l.expires_at > NOW())
+  AND (l.max_views IS NULL OR l.views < l.max_views)`;
+
+const createPostgresStorage = ({ connectionString }) => {
+  const pool = new Pool({
+    connectionString, // Vercel env var
+    ssl: { rejectUnauthorized: false } // Neon requires SSL
+  });
+
+  // Connections open lazily; the schema itself comes from migrate()
+  const init = async () => {};
+
+  // Snippets
+
+  const listSnippets = async () => {
+    const { rows } = await pool.query(`${SNIPPET_SELECT} WHERE ${SNIPPET_ACTIVE} ORDER BY s.timestamp DESC`);
+    return rows;
+  };
+
+  const getSnippet = async (filename) => {
+    const { rows } = await pool.query(`${SNIPPET_SELECT} WHERE s.filename = $1 AND ${SNIPPET_ACTIVE}`, [filename]);
+    return rows[0] || null;
+  };
+
+  const findSnippet = async (ref) => {
+    const { rows } = await pool.query(
+      `${SNIPPET_SELECT} WHERE (s.id = $1 OR s.slug = $1 OR s.filename = $1) AND ${SNIPPET_ACTIVE}
+       ORDER BY s.id = $1 DESC, s.slug = $1 DESC NULLS LAST LIMIT 1`,
+      [ref]
+    );
+    return rows[0] || null;
+  };
+
+  // Without includeCode the rows have no `code`
+  const querySnippets = async (filters, { sort, order, page, perPage, includeCode = true }) => {
+    const tsquery = toTsQuery(filters.groups);
+    const params = [];
+    const conditions = [SNIPPET_ACTIVE];
+    const param = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    if (tsquery) {
+      conditions.push(`s.search_vector @@ to_tsquery('simple', ${param(tsquery)})`);
+    }
+    if (filters.language) {
+      conditions.push(`LOWER(s.language) = ${param(filters.language.toLowerCase())}`);
+    }
+    if (filters.title) {
+      conditions.push(`LOWER(COALESCE(s.title, '')) LIKE ${param(`%${filters.title.toLowerCase()}%`)}`);
+    }
+    if (filters.tags?.length) {
+      // Every requested tag must be present on the snippet
+      conditions.push(`${param(filters.tags)}::text[] <@ ${SNIPPET_TAGS}`);
+    }
+    if (filters.from) {
+      conditions.push(`s.timestamp >= ${param(filters.from)}`);
+    }
+    if (filters.to) {
+      conditions.push(`s.timestamp < ${param(filters.to)}`);
+    }
+    const where = ' WHERE ' + conditions.join(' AND ');
+    const rank = tsquery ? `ts_rank_cd(s.search_vector, to_tsquery('simple', $1))` : 'NULL::real';
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const orderBy = sort
+      ? `${SNIPPET_SORTS[sort]} ${direction}, s.timestamp DESC`
+      : `rank DESC NULLS LAST, s.timestamp ${direction}`;
+
+    const { rows: [{ total }] } = await pool.query(`SELECT COUNT(*)::int AS total FROM snippets s${where}`, params);
+    const { rows } = await pool.query(
+      `SELECT ${includeCode ? SNIPPET_COLUMNS : SNIPPET_SUMMARY_COLUMNS}, ${rank} AS rank FROM snippets s${where}
+       ORDER BY ${orderBy}
+       LIMIT ${param(perPage)} OFFSET ${param((page - 1) * perPage)}`,
+      params
+    );
+    return { total, rows };
+  };
+
+  const countSnippetsByLanguage = async () => {
+    const { rows } = await pool.query(
+      `SELECT s.language, COUNT(*)::int AS count FROM snippets s WHERE ${SNIPPET_ACTIVE}
+       GROUP BY s.language ORDER BY s.language`
+    );
+    return rows;
+  };
+
+  const listTags = async () => {
+    const { rows } = await pool.query(
+      `SELECT DISTINCT t.name FROM tags t
+       JOIN snippet_tags st ON st.tag_id = t.id
+       JOIN snippets s ON s.filename = st.snippet_filename
+       WHERE ${SNIPPET_ACTIVE} ORDER BY t.name`
+    );
+    return rows.map(r => r.name);
+  };
+
+  const isSlugTaken = async (slug, filename) => {
+    const { rows } = await pool.query(
+      'SELECT 1 FROM snippets WHERE (slug = $1 OR id = $1) AND filename IS DISTINCT FROM $2',
+      [slug, filename]
+    );
+    return rows.length > 0;
+  };
+
+  const findDuplicateSnippet = async ({ filename, timestamp, language, code }) => {
+    const { rows } = await pool.query(
+      `${SNIPPET_SELECT}
+       WHERE s.filename = $1 OR (s.timestamp = $2 AND s.language = $3 AND s.code = $4) LIMIT 1`,
+      [filename, timestamp, language, code]
+    );
+    return rows[0] || null;
+  };
+
+  const setSnippetTags = async (filename, tags) => {
+    await pool.query('DELETE FROM snippet_tags WHERE snippet_filename = $1', [filename]);
+    if (!tags.length) return;
+    await pool.query(
+      'INSERT INTO tags (name) SELECT unnest($1::text[]) ON CONFLICT (name) DO NOTHING',
+      [tags]
+    );
+    await pool.query(
+      'INSERT INTO snippet_tags (snippet_filename, tag_id) SELECT $1, id FROM tags WHERE name = ANY($2::text[])',
+      [filename, tags]
+    );
+  };
+
+  // Findings are stored as JSON, or NULL when the code looks clean
+  const findingsJson = (findings) => (findings?.length ? JSON.stringify(findings) : null);
+
+  const insertSnippet = async ({ id, slug, filename, language, code, timestamp, title, description, embeddable, detectedLanguage, languageConfidence, secretFindings, ownerId, tags }) => {
+    await pool.query(
+      `INSERT INTO snippets (id, slug, filename, language, code, timestamp, title, description, embeddable,
+         detected_language, language_confidence, secret_findings, owner_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12::jsonb, $13)`,
+      [id, slug, filename, language, code, timestamp, title, description, !!embeddable,
+        detectedLanguage ?? null, languageConfidence ?? null, findingsJson(secretFindings), ownerId]
+    );
+    await setSnippetTags(filename, tags);
+  };
+
+  const updateSnippetContent = async (filename, { language, code, title, description, tags, detectedLanguage, languageConfidence }) => {
+    await pool.query(
+      `UPDATE snippets SET language = $1, code = $2, title = $3, description = $4,
+         detected_language = $5, language_confidence = $6
+       WHERE filename = $7`,
+      [language, code, title, description, detectedLanguage ?? null, languageConfidence ?? null, filename]
+    );
+    await setSnippetTags(filename, tags);
+  };
+
+  const updateSnippetSlug = async (filename, slug) => {
+    await pool.query('UPDATE snippets SET slug = $1 WHERE filename = $2', [slug, filename]);
+  };
+
+  const updateSnippetEmbeddable = async (filename, embeddable) => {
+    await pool.query('UPDATE snippets SET embeddable = $1 WHERE filename = $2', [embeddable, filename]);
+  };
+
+  // New findings always need a fresh review
+  const updateSnippetSecrets = async (filename, findings) => {
+    await pool.query(
+      `UPDATE snippets SET secret_findings = $1::jsonb, secrets_reviewed_at = NULL, secrets_reviewed_by = NULL
+       WHERE filename = $2`,
+      [findingsJson(findings), filename]
+    );
+  };
+
+  const markSecretsReviewed = async (filename, userId) => {
+    const result = await pool.query(
+      `UPDATE snippets SET secrets_reviewed_at = NOW(), secrets_reviewed_by = $1
+       WHERE filename = $2 AND secret_findings IS NOT NULL`,
+      [userId, filename]
+    );
+    return result.rowCount > 0;
+  };
+
+  // Snippets with findings nobody has reviewed yet, newest first
+  const listFlaggedSnippets = async () => {
+    const { rows } = await pool.query(
+      `${SNIPPET_SELECT} WHERE s.secret_findings IS NOT NULL AND s.secrets_reviewed_at IS NULL AND ${SNIPPET_ACTIVE}
+       ORDER BY s.timestamp DESC`
+    );
+    return rows;
+  };
+
+  // Permanent; revisions, tags and share links go with the snippet
+  const deleteSnippet = async (filename) => {
+    const result = await pool.query('DELETE FROM snippets WHERE filename = $1', [filename]);
+    return result.rowCount > 0;
+  };
+
+  // Trash
+
+  const trashSnippet = async (filename, userId) => {
+    const result = await pool.query(
+      `UPDATE snippets s SET deleted_at = NOW(), deleted_by = $1 WHERE s.filename = $2 AND ${SNIPPET_ACTIVE}`,
+      [userId, filename]
+    );
+    return result.rowCount > 0;
+  };
+
+  const restoreSnippet = async (filename) => {
+    const result = await pool.query(
+      'UPDATE snippets SET deleted_at = NULL, deleted_by = NULL WHERE filename = $1 AND deleted_at IS NOT NULL',
+      [filename]
+    );
+    return result.rowCount > 0;
+  };
+
+  // Most recently deleted first
+  const listTrash = async () => {
+    const { rows } = await pool.query(
+      `SELECT ${TRASH_COLUMNS} FROM snippets s WHERE s.deleted_at IS NOT NULL ORDER BY s.deleted_at DESC`
+    );
+    return rows;
+  };
+
+  const findTrashedSnippet = async (ref) => {
+    const { rows } = await pool.query(
+      `SELECT ${TRASH_COLUMNS} FROM snippets s
+       WHERE (s.id = $1 OR s.slug = $1 OR s.filename = $1) AND s.deleted_at IS NOT NULL
+       ORDER BY s.id = $1 DESC, s.slug = $1 DESC NULLS LAST LIMIT 1`,
+      [ref]
+    );
+    return rows[0] || null;
+  };
+
+  // Revisions
+
+  // Copies the current state of a snippet into snippet_revisions as the next revision number
+  const addRevision = async (filename, { source, restoredFrom }) => {
+    await pool.query(`
+      INSERT INTO snippet_revisions
+        (snippet_filename, revision, language, code, title, description, tags, source, restored_from)
+      SELECT s.filename,
+        COALESCE((SELECT MAX(revision) FROM snippet_revisions WHERE snippet_filename = s.filename), 0) + 1,
+        s.language, s.code, s.title, s.description, ${SNIPPET_TAGS}, $2, $3
+      FROM snippets s WHERE s.filename = $1`,
+      [filename, source, restoredFrom]
+    );
+  };
+
+  const hasRevisions = async (filename) => {
+    const { rowCount } = await pool.query('SELECT 1 FROM snippet_revisions WHERE snippet_filename = $1 LIMIT 1', [filename]);
+    return rowCount > 0;
+  };
+
+  const listRevisions = async (filename) => {
+    const { rows } = await pool.query(
+      'SELECT * FROM snippet_revisions WHERE snippet_filename = $1 ORDER BY revision DESC',
+      [filename]
+    );
+    return rows;
+  };
+
+  const getRevision = async (filename, revision) => {
+    const { rows } = await pool.query(
+      'SELECT * FROM snippet_revisions WHERE snippet_filename = $1 AND revision = $2',
+      [filename, revision]
+    );
+    return rows[0] || null;
+  };
+
+  // Share links
+
+  const createShareLink = async ({ token, filename, expiresInHours, maxViews }) => {
+    const { rows } = await pool.query(
+      `INSERT INTO share_links (token, snippet_filename, expires_at, max_views)
+       VALUES ($1, $2, CASE WHEN $3::int IS NULL THEN NULL ELSE NOW() + make_interval(hours => $3::int) END, $4)
+       RETURNING *`,
+      [token, filename, expiresInHours || null, maxViews || null]
+    );
+    return rows[0];
+  };
+
+  // Counts a view; returns the link, or null if it is not usable
+  const consumeShareLink = async (token) => {
+    const { rows } = await pool.query(
+      `UPDATE share_links l SET views = l.views + 1
+       WHERE l.token = $1 AND ${SHARE_LINK_ACTIVE}
+       RETURNING l.*`,
+      [token]
+    );
+    return rows[0] || null;
+  };
+
+  const listActiveShareLinks = async () => {
+    const { rows } = await pool.query(
+      `SELECT l.*, s.title FROM share_links l JOIN snippets s ON s.filename = l.snippet_filename
+       WHERE ${SHARE_LINK_ACTIVE} AND ${SNIPPET_ACTIVE} ORDER BY l.created_at DESC`
+    );
+    return rows;
+  };
+
+  const revokeShareLink = async (token) => {
+    const result = await pool.query(
+      'UPDATE share_links SET revoked_at = NOW() WHERE token = $1 AND revoked_at IS NULL',
+      [token]
+    );
+    return result.rowCount > 0;
+  };
+
+  // Users
+
+  const getUser = async (id) => {
+    const { rows } = await pool.query('SELECT id, username, role FROM users WHERE id = $1', [id]);
+    return rows[0] || null;
+  };
+
+  const getUserCredentials = async (username) => {
+    const { rows } = await pool.query('SELECT id, password_hash FROM users WHERE username = $1', [username]);
+    return rows[0] || null;
+  };
+
+  const listUsers = async () => {
+    const { rows } = await pool.query(`
+      SELECT u.id, u.username, u.role, u.created_at,
+        (SELECT COUNT(*)::int FROM snippets s WHERE s.owner_id = u.id AND ${SNIPPET_ACTIVE}) AS snippet_count
+      FROM users u ORDER BY u.username`);
+    return rows;
+  };
+
+  const countAdmins = async () => {
+    const { rows } = await pool.query(`SELECT COUNT(*)::int AS count FROM users WHERE role = 'admin'`);
+    return rows[0].count;
+  };
+
+  // Returns null when the username is taken
+  const createUser = async ({ username, passwordHash, role }) => {
+    try {
+      const { rows } = await pool.query(
+        'INSERT INTO users (username, password_hash, role) VALUES ($1, $2, $3) RETURNING id, username, role',
+        [username, passwordHash, role]
+      );
+      return rows[0];
+    } catch (err) {
+      if (err.code === '23505') return null;
+      throw err;
+    }
+  };
+
+  // Creates the account only while there are no users at all
+  const createInitialAdmin = async ({ username, passwordHash }) => {
+    const result = await pool.query(
+      `INSERT INTO users (username, password_hash, role)
+       SELECT $1, $2, 'admin' WHERE NOT EXISTS (SELECT 1 FROM users)`,
+      [username, passwordHash]
+    );
+    return result.rowCount > 0;
+  };
+
+  const updateUserRole = async (id, role) => {
+    await pool.query('UPDATE users SET role = $1 WHERE id = $2', [role, id]);
+  };
+
+  const updateUserPassword = async (id, passwordHash) => {
+    await pool.query('UPDATE users SET password_hash = $1 WHERE id = $2', [passwordHash, id]);
+  };
+
+  const deleteUser = async (id) => {
+    const result = await pool.query('DELETE FROM users WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  };
+
+  // API keys
+
+  const listApiKeys = async () => {
+    const { rows } = await pool.query(`
+      SELECT k.*, u.username AS created_by_username
+      FROM api_keys k LEFT JOIN users u ON u.id = k.created_by
+      ORDER BY k.revoked_at IS NOT NULL, k.created_at DESC`);
+    return rows;
+  };
+
+  const createApiKey = async ({ label, keyHash, keyPrefix, scopes, createdBy }) => {
+    const { rows } = await pool.query(
+      `INSERT INTO api_keys (label, key_hash, key_prefix, scopes, created_by)
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [label, keyHash, keyPrefix, scopes, createdBy]
+    );
+    return rows[0];
+  };
+
+  // Records the use and returns the key, or null if it is unknown or revoked
+  const useApiKey = async (keyHash) => {
+    const { rows } = await pool.query(
+      `UPDATE api_keys SET last_used_at = NOW()
+       WHERE key_hash = $1 AND revoked_at IS NULL
+       RETURNING id, label, scopes, created_by`,
+      [keyHash]
+    );
+    return rows[0] || null;
+  };
+
+  const revokeApiKey = async (id) => {
+    const result = await pool.query(
+      'UPDATE api_keys SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL',
+      [id]
+    );
+    return result.rowCount > 0;
+  };
+
+  // Custom languages
+
+  const listCustomLanguages = async () => {
+    const { rows } = await pool.query('SELECT * FROM custom_languages ORDER BY name');
+    return rows;
+  };
+
+  // Returns the new language, or null if the id is taken
+  const createCustomLanguage = async ({ id, name, hljs, monaco, extensions, aliases, mime, createdBy }) => {
+    const { rows } = await pool.query(
+      `INSERT INTO custom_languages (id, name, hljs, monaco, extensions, aliases, mime, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (id) DO NOTHING RETURNING *`,
+      [id, name, hljs, monaco, extensions, aliases, mime, createdBy]
+    );
+    return rows[0] || null;
+  };
+
+  const deleteCustomLanguage = async (id) => {
+    const result = await pool.query('DELETE FROM custom_languages WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  };
+
+  // Audit log
+
+  const addAuditEntry = async ({ action, actorType, actorId, actor, ip, targetType, targetId, before, after, details }) => {
+    await pool.query(
+      `INSERT INTO audit_log (action, actor_type, actor_id, actor, ip, target_type, target_id, before, after, details)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8::jsonb, $9::jsonb, $10::jsonb)`,
+      [action, actorType, actorId ?? null, actor ?? null, ip ?? null, targetType ?? null, targetId ?? null,
+        before ? JSON.stringify(before) : null, after ? JSON.stringify(after) : null, details ? JSON.stringify(details) : null]
+    );
+  };
+
+  // Newest first. `action` matches exactly or as a prefix ("snippet" matches
+  // "snippet.update"); `actor` is a case-insensitive name.
+  const queryAuditLog = async (filters, { page, perPage }) => {
+    const params = [];
+    const conditions = [];
+    const param = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+    if (filters.action) {
+      const action = param(filters.action);
+      conditions.push(`(a.action = ${action} OR a.action LIKE ${action} || '.%')`);
+    }
+    if (filters.actor) conditions.push(`LOWER(a.actor) = ${param(filters.actor.toLowerCase())}`);
+    if (filters.targetId) conditions.push(`a.target_id = ${param(filters.targetId)}`);
+    if (filters.ip) conditions.push(`a.ip = ${param(filters.ip)}`);
+    if (filters.from) conditions.push(`a.created_at >= ${param(filters.from)}`);
+    if (filters.to) conditions.push(`a.created_at < ${param(filters.to)}`);
+    const where = conditions.length ? ' WHERE ' + conditions.join(' AND ') : '';
+
+    const { rows: [{ total }] } = await pool.query(`SELECT COUNT(*)::int AS total FROM audit_log a${where}`, params);
+    const { rows } = await pool.query(
+      `SELECT a.* FROM audit_log a${where} ORDER BY a.created_at DESC, a.id DESC
+       LIMIT ${param(perPage)} OFFSET ${param((page - 1) * perPage)}`,
+      params
+    );
+    return { total, rows };
+  };
+
+  // Webhooks
+
+  const listWebhooks = async () => {
+    const { rows } = await pool.query(`
+      SELECT w.*, u.username AS created_by_username
+      FROM webhooks w LEFT JOIN users u ON u.id = w.created_by
+      ORDER BY w.created_at`);
+    return rows;
+  };
+
+  const createWebhook = async ({ url, secret, events, createdBy }) => {
+    const { rows } = await pool.query(
+      'INSERT INTO webhooks (url, secret, events, created_by) VALUES ($1, $2, $3, $4) RETURNING *',
+      [url, secret, events, createdBy]
+    );
+    return rows[0];
+  };
+
+  const setWebhookActive = async (id, active) => {
+    const result = await pool.query('UPDATE webhooks SET active = $1 WHERE id = $2', [active, id]);
+    return result.rowCount > 0;
+  };
+
+  const deleteWebhook = async (id) => {
+    const result = await pool.query('DELETE FROM webhooks WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  };
+
+  const addWebhookDelivery = async ({ webhookId, deliveryId, event, snippetId, attempt, statusCode, error, durationMs, nextAttemptAt }) => {
+    await pool.query(
+      `INSERT INTO webhook_deliveries
+         (webhook_id, delivery_id, event, snippet_id, attempt, status_code, error, duration_ms, next_attempt_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [webhookId, deliveryId, event, snippetId ?? null, attempt, statusCode ?? null, error ?? null, durationMs ?? null, nextAttemptAt ?? null]
+    );
+  };
+
+  // Newest attempts first, with the endpoint they went to
+  const listWebhookDeliveries = async (limit) => {
+    const { rows } = await pool.query(
+      `SELECT d.*, w.url FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id
+       ORDER BY d.created_at DESC, d.id DESC LIMIT $1`,
+      [limit]
+    );
+    return rows;
+  };
+
+  // Returns the number of attempts removed
+  const pruneWebhookDeliveries = async (before) => {
+    const result = await pool.query('DELETE FROM webhook_deliveries WHERE created_at < $1', [before]);
+    return result.rowCount;
+  };
+
+  return {
+    name: 'postgres',
+    init,
+    migrate: () => runMigrations(pool),
+    migrationStatus: () => migrationStatus(pool),
+    close: () => pool.end(),
+    listSnippets,
+    getSnippet,
+    findSnippet,
+    querySnippets,
+    countSnippetsByLanguage,
+    listTags,
+    isSlugTaken,
+    findDuplicateSnippet,
+    insertSnippet,
+    updateSnippetContent,
+    updateSnippetSlug,
+    updateSnippetEmbeddable,
+    updateSnippetSecrets,
+    markSecretsReviewed,
+    listFlaggedSnippets,
+    deleteSnippet,
+    trashSnippet,
+    restoreSnippet,
+    listTrash,
+    findTrashedSnippet,
+    addRevision,
+    hasRevisions,
+    listRevisions,
+    getRevision,
+    createShareLink,
+    consumeShareLink,
+    listActiveShareLinks,
+    revokeShareLink,
+    getUser,
+    getUserCredentials,
+    listUsers,
+    countAdmins,
+    createUser,
+    createInitialAdmin,
+    updateUserRole,
+    updateUserPassword,
+    deleteUser,
+    listApiKeys,
+    createApiKey,
+    useApiKey,
+    revokeApiKey,
+    listCustomLanguages,
+    createCustomLanguage,
+    deleteCustomLanguage,
+    addAuditEntry,
+    queryAuditLog,
+    listWebhooks,
+    createWebhook,
+    setWebhookActive,
+    deleteWebhook,
+    addWebhookDelivery,
+    listWebhookDeliveries,
+    pruneWebhookDeliveries
+  };
+};
+
+module.exports = { createPostgresStorage };
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+
+const WEBHOOK_EVENTS = ['snippet.created', 'snippet.updated', 'snippet.deleted'];
+
+// Seconds to wait before each retry. A delivery that still fails after the last
+// one is given up; retries are kept in memory, so a restart drops them too.
+const RETRY_DELAYS = [10, 60, 5 * 60, 30 * 60, 2 * 60 * 60];
+
+const DELIVERY_TIMEOUT_MS = 10000;
+
+// Receivers recompute this over the raw request body with their copy of the
+// secret and compare, as GitHub does with X-Hub-Signature-256
+const signPayload = (secret, body) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+const generateWebhookSecret = () => crypto.randomBytes(24).toString('hex');
+
+// Only http(s) URLs; anything else is a typo or an attempt to reach a local file
+const isWebhookUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// Sends events to the webhooks subscribed to them. Every attempt is recorded
+// through storage.addWebhookDelivery; failures never reach the caller.
+const createWebhookDispatcher = ({ storage, userAgent = 'snippet-manager-webhooks' }) => {
+  const attempt = async (webhook, delivery, number) => {
+    const started = Date.now();
+    let statusCode = null;
+    let error = null;
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': userAgent,
+          'X-Snippet-Event': delivery.event,
+          'X-Snippet-Delivery': delivery.id,
+          'X-Snippet-Signature-256': signPayload(webhook.secret, delivery.body)
+        },
+        body: delivery.body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+      });
+      statusCode = response.status;
+      if (!response.ok) error = `HTTP ${response.status}`;
+    } catch (err) {
+      error = err.name === 'TimeoutError' ? `No response within ${DELIVERY_TIMEOUT_MS / 1000}s` : err.cause?.message || err.message;
+    }
+
+    const delay = error && delivery.retry ? RETRY_DELAYS[number - 1] : undefined;
+    await storage.addWebhookDelivery({
+      webhookId: webhook.id,
+      deliveryId: delivery.id,
+      event: delivery.event,
+      snippetId: delivery.snippetId,
+      attempt: number,
+      statusCode,
+      error,
+      durationMs: Date.now() - started,
+      nextAttemptAt: delay === undefined ? null : new Date(Date.now() + delay * 1000).toISOString()
+    });
+    if (delay !== undefined) {
+      setTimeout(() => retry(webhook.id, delivery, number + 1), delay * 1000).unref();
+    }
+  };
+
+  // The webhook is looked up again so a retry never goes to an endpoint that
+  // was disabled or deleted in the meantime
+  const retry = async (webhookId, delivery, number) => {
+    try {
+      const webhook = (await storage.listWebhooks()).find(w => w.id === webhookId && w.active);
+      if (webhook) await attempt(webhook, delivery, number);
+    } catch (err) {
+      console.error('Webhook delivery error:', err);
+    }
+  };
+
+  // Resolves once every subscribed webhook has had its first attempt
+  const dispatch = async (event, data) => {
+    try {
+      const webhooks = (await storage.listWebhooks()).filter(w => w.active && w.events.includes(event));
+      await Promise.all(webhooks.map(webhook => {
+        const id = crypto.randomUUID();
+        const body = JSON.stringify({ id, event, occurred_at: new Date().toISOString(), ...data });
+        return attempt(webhook, { id, event, body, snippetId: data.snippet?.id, retry: true }, 1);
+      }));
+    } catch (err) {
+      console.error('Webhook delivery error:', err);
+    }
+  };
+
+  // Sends one unretried ping event, whatever the webhook subscribes to, so admins
+  // can check an endpoint and its signature verification
+  const ping = async (webhook) => {
+    const id = crypto.randomUUID();
+    const body = JSON.stringify({ id, event: 'ping', occurred_at: new Date().toISOString() });
+    await attempt(webhook, { id, event: 'ping', body, snippetId: null, retry: false }, 1);
+  };
+
+  return { dispatch, ping };
+};
+
+module.exports = { WEBHOOK_EVENTS, createWebhookDispatcher, generateWebhookSecret, isWebhookUrl, signPayload };